@@ -155,6 +155,35 @@ test('Accessibility compliance', async ({ page }) => {
   expect(h1Count).toBe(1);
 });
 
+// Test the public runtime API (window.ToukonElixir) and its events
+test('Runtime API and events', async ({ page }) => {
+  await page.goto(URL);
+  await page.waitForFunction(() => window.ToukonElixir);
+  
+  const modes = await page.evaluate(() => window.ToukonElixir.performanceModes);
+  expect(modes).toContain(await page.evaluate(() => window.ToukonElixir.getPerformanceMode()));
+  
+  // Forcing a mode fires the mode change event
+  const detail = await page.evaluate(() => new Promise(resolve => {
+    const api = window.ToukonElixir;
+    const target = api.getPerformanceMode() === 'low' ? 'medium' : 'low';
+    document.addEventListener(api.events.performanceModeChange, event => resolve(event.detail), { once: true });
+    api.forcePerformanceMode(target);
+  }));
+  expect(detail.reason).toBe('forced');
+  expect(await page.evaluate(() => window.ToukonElixir.getPerformanceMode())).toBe(detail.mode);
+  
+  // Pausing motion is reflected on <html> for the CSS to pick up
+  await page.evaluate(() => window.ToukonElixir.pauseMotion());
+  await expect(page.locator('html')).toHaveAttribute('data-motion', 'paused');
+  await page.evaluate(() => window.ToukonElixir.resumeMotion());
+  
+  // Themes are applied through <html data-theme>
+  await page.evaluate(() => window.ToukonElixir.setTheme('light'));
+  await expect(page.locator('html')).toHaveAttribute('data-theme', 'light');
+  await page.evaluate(() => window.ToukonElixir.setTheme('system'));
+});
+
 // Test performance
 test('Performance metrics', async ({ page }) => {
   await page.goto(URL);
@@ -2,91 +2,874 @@
 
 /**
  * Simple build script for performance optimization
- * This script helps minify CSS and JavaScript files
+ * This script renders the content sections and JSON-LD from data/ for
+ * every locale in locales/, minifies CSS and JavaScript files, lifts inline styles
+ * into generated classes, inlines the critical CSS for the hero,
+ * generates responsive image variants for the hero visual and writes a
+ * self-contained dist/ folder with content-hashed asset names and source
+ * maps for the minified CSS and JavaScript (bundled from the ES modules in
+ * src/), an inline theme script in <head>, the connpass events snapshot
+ * (refreshed with --refresh-events) with its iCalendar files, Atom/RSS
+ * feeds of the announcements and events, the members' latest articles
+ * (from the feed snapshots refreshed with --refresh-articles),
+ * gzip/brotli variants and a size report checked against the budgets in
+ * BUDGET_CONFIG
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { minifyJS, verifyMinifiedJS } = require('./lib/js-minifier');
+const { bundleModules } = require('./lib/bundler');
+const { extractCriticalCSS, inlineCriticalCSS } = require('./lib/critical-css');
+const { extractInlineStyles, findInlineEventHandlers, findInlineScripts, scriptHash } = require('./lib/inline-styles');
+const { createDevServer, watchPaths } = require('./lib/dev-server');
+const { renderContent, loadContent } = require('./lib/content');
+const { fetchSnapshot, upcomingEvents } = require('./lib/connpass');
+const { renderCalendar } = require('./lib/icalendar');
+const { feedEntries, renderAtom, renderRSS, validateFeed, validateAnnouncements } = require('./lib/feeds');
+const { validateMembers, aggregateArticles, readSnapshot, refreshSnapshots } = require('./lib/articles');
+const { escapeHTML } = require('./lib/templates');
+const {
+  loadLocales,
+  translateData,
+  translateHTML,
+  findUntranslated,
+  relocateURLs,
+  localizePage
+} = require('./lib/i18n');
+const { compressAssets, measureAssets, checkBudgets, formatBytes } = require('./lib/size-report');
+const {
+  generatedString,
+  concatMapped,
+  replaceMapped,
+  trimMapped,
+  createSourceMap,
+  sourceMappingURLComment
+} = require('./lib/source-map');
+
+// Build output configuration
+const BUILD_CONFIG = {
+  outDir: 'dist',
+  hashLength: 10,
+  // Deployed as-is (hashed assets are emitted separately)
+  staticFiles: ['CNAME', 'favicon.ico', 'favicon.png', 'ogp.png', 'ogp.webp', 'assets'],
+  exclude: ['assets/responsive'],
+  // Browser script: the ES modules in src/ bundled into one classic script
+  script: { entry: 'src/main.js', output: 'script.js' },
+  // Inlined in <head> at the marker so the color theme is set before the first paint
+  themeScript: { entry: 'src/theme-init.js', marker: '<!-- theme-init -->' },
+  // Emit .map files for the hashed CSS and JS (disable with --no-source-maps)
+  sourceMaps: true
+};
+
+// Size budgets on transferred bytes (gzip for text, which every host can serve),
+// read from the unhashed paths: first matching pattern wins
+const BUDGET_CONFIG = {
+  report: 'build-reports/size-report.json',
+  assets: {
+    '**/index.html': 16 * 1024,
+    '*.css': 8 * 1024,
+    // One bundle for every page feature (no code splitting), including the events list
+    '*.js': 16 * 1024,
+    'assets/responsive/*': 450 * 1024,
+    // Known to be oversized (~480 KB); lower once the icon is resized
+    '**/favicon.png': 512 * 1024,
+    // Only fetched by social crawlers and the hero error fallback
+    '**/ogp.*': 1536 * 1024,
+    'assets/hero.*': 1536 * 1024,
+    '**': 256 * 1024
+  },
+  // Downloaded on every visit. The hero variants are alternatives: only the
+  // largest AVIF (what a high-DPI desktop fetches for the LCP, see IMAGE_CONFIG.hero) is counted
+  total: {
+    include: ['index.html', '*.css', '*.js', 'favicon.png', 'assets/responsive/hero-1680w.avif'],
+    budget: 640 * 1024
+  }
+};
+
+// Development server configuration (npm run dev / npm run serve)
+const DEV_CONFIG = {
+  port: Number(process.env.PORT) || 8000,
+  // Sources that trigger a rebuild; generated image variants are ignored
+  watch: ['index.html', 'styles.css', 'src', 'assets', 'data', 'templates', 'locales'],
+  ignore: ['assets/responsive'],
+  // Changes that can be applied by swapping stylesheets instead of reloading
+  hotSwap: ['styles.css']
+};
+
+// Upcoming events: a connpass API response kept in data/ and published as
+// events.json for the Events section (see lib/connpass.js)
+const EVENTS_CONFIG = {
+  snapshot: 'data/connpass-events.json',
+  output: 'events.json',
+  // iCalendar feed of every event in the snapshot, plus one file per event in `dir`
+  calendar: { feed: 'events.ics', dir: 'events', refresh: 'PT12H' },
+  api: 'https://connpass.com/api/v2/events/',
+  subdomain: 'autoracex',
+  // Months searched from the current one on (connpass filters by month)
+  months: 3,
+  count: 100,
+  apiKeyEnv: 'CONNPASS_API_KEY',
+  userAgent: 'toukon-elixir-build (+https://github.com/autoracex/toukon_elixir)',
+  timeout: 15000
+};
+
+// Atom and RSS feeds of the announcements and the connpass events (see lib/feeds.js)
+const FEEDS_CONFIG = {
+  announcements: 'data/announcements.json',
+  atom: 'atom.xml',
+  rss: 'rss.xml',
+  // Newest entries kept in each feed
+  limit: 20
+};
+
+// Members' Qiita / Zenn articles for the 学びの公開 section (see lib/articles.js)
+const ARTICLES_CONFIG = {
+  section: 'articles',
+  members: 'data/members.json',
+  // One <host>-<path>.xml per registered feed URL
+  snapshots: 'data/feeds',
+  // Newest articles listed on the page
+  latest: 6,
+  timeZone: 'Asia/Tokyo',
+  userAgent: EVENTS_CONFIG.userAgent,
+  timeout: 15000
+};
+
+// Content sections rendered into index.html from data/ through templates/
+const CONTENT_CONFIG = {
+  site: 'data/site.json',
+  sections: {
+    about: { template: 'templates/about.html', data: 'data/about.json' },
+    events: { template: 'templates/events.html', data: 'data/events.json' },
+    articles: { template: 'templates/articles.html', data: 'data/articles.json' },
+    code: { template: 'templates/code-of-conduct.html', data: 'data/code-of-conduct.json' }
+  },
+  // Section whose data describes the JSON-LD Event (dated by EVENTS_CONFIG.snapshot at build time)
+  structuredData: { events: 'events' }
+};
+
+// Locales built from locales/<code>.json; the first one is the default
+// and is served from the site root, the others from their `path`
+const I18N_CONFIG = {
+  dir: 'locales',
+  locales: ['ja', 'en']
+};
+
+// Responsive image configuration
+const IMAGE_CONFIG = {
+  outputDir: 'assets/responsive',
+  hero: {
+    source: 'assets/hero.png',
+    name: 'hero',
+    widths: [480, 840, 1280, 1680],
+    formats: ['avif', 'webp', 'png'],
+    // Mirrors .plate / .hero-picture widths in styles.css at each breakpoint
+    sizes: '(max-width: 320px) 92vw, (max-width: 1023px) 80vw, 840px',
+    quality: { avif: 50, webp: 75, png: 80 }
+  }
+};
+
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  png: 'image/png'
+};
+
+// Simple CSS minifier steps, shared by the plain and source-mapped minifiers
+const CSS_MINIFY_STEPS = [
+  // Remove comments
+  [/\/\*[\s\S]*?\*\//g, ''],
+  // Remove unnecessary whitespace
+  [/\s+/g, ' '],
+  // Remove whitespace around specific characters
+  [/\s*([{}:;,>+~])\s*/g, '$1'],
+  // Remove trailing semicolons before closing braces
+  [/;}/g, '}']
+];
 
 // Simple CSS minifier
 function minifyCSS(css) {
-  return css
-    // Remove comments
-    .replace(/\/\*[\s\S]*?\*\//g, '')
-    // Remove unnecessary whitespace
-    .replace(/\s+/g, ' ')
-    // Remove whitespace around specific characters
-    .replace(/\s*([{}:;,>+~])\s*/g, '$1')
-    // Remove trailing semicolons before closing braces
-    .replace(/;}/g, '}')
+  return CSS_MINIFY_STEPS
+    .reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), css)
     // Remove leading/trailing whitespace
     .trim();
 }
 
-// Simple JavaScript minifier (basic)
-function minifyJS(js) {
-  return js
-    // Remove single-line comments (but preserve URLs and regex)
-    .replace(/\/\/(?![^\n]*['"`]).*$/gm, '')
-    // Remove multi-line comments
-    .replace(/\/\*[\s\S]*?\*\//g, '')
-    // Remove unnecessary whitespace (basic)
-    .replace(/\s+/g, ' ')
-    // Remove whitespace around operators and punctuation
-    .replace(/\s*([{}();,=+\-*/<>!&|])\s*/g, '$1')
-    // Remove trailing semicolons before closing braces
-    .replace(/;}/g, '}')
-    .trim();
+// Same as minifyCSS, on a mapped string (see lib/source-map.js)
+function minifyMappedCSS(input) {
+  return trimMapped(CSS_MINIFY_STEPS
+    .reduce((result, [pattern, replacement]) => replaceMapped(result, pattern, replacement), input));
+}
+
+// Load sharp lazily so CSS/JS builds still work without it
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Output path for a single image variant
+function variantPath(image, width, format) {
+  return path.posix.join(IMAGE_CONFIG.outputDir, `${image.name}-${width}w.${format}`);
+}
+
+// Build a srcset attribute value for one format
+function buildSrcset(image, format) {
+  return image.widths
+    .map(width => `${variantPath(image, width, format)} ${width}w`)
+    .join(', ');
+}
+
+// Generate every width/format variant, skipping ones newer than the source
+async function generateImageVariants(sharp, image) {
+  const sourceStat = fs.statSync(image.source);
+  const metadata = await sharp(image.source).metadata();
+  let generated = 0;
+
+  fs.mkdirSync(IMAGE_CONFIG.outputDir, { recursive: true });
+
+  for (const width of image.widths) {
+    for (const format of image.formats) {
+      const output = variantPath(image, width, format);
+
+      if (fs.existsSync(output) && fs.statSync(output).mtimeMs >= sourceStat.mtimeMs) {
+        continue;
+      }
+
+      await sharp(image.source)
+        .resize({ width: Math.min(width, metadata.width), withoutEnlargement: true })
+        .toFormat(format, { quality: image.quality[format] })
+        .toFile(output);
+      generated++;
+    }
+  }
+
+  return { width: metadata.width, height: metadata.height, generated };
+}
+
+// Parse the attributes of a single HTML start tag
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([^\s=<>"'/]+)(?:\s*=\s*"([^"]*)")?/g;
+  const body = tag.replace(/^<\w+/, '').replace(/\/?>$/, '');
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    attributes[match[1]] = match[2] === undefined ? '' : match[2];
+  }
+
+  return attributes;
+}
+
+// Render an attribute map back into HTML
+function renderAttributes(attributes) {
+  return Object.entries(attributes)
+    .map(([name, value]) => (value === '' ? name : `${name}="${value}"`))
+    .join(' ');
+}
+
+// Rewrite the hero <picture> element and its preload hint with the generated srcsets
+function rewriteHeroMarkup(html, image, dimensions) {
+  const picturePattern = /([ \t]*)<picture class="hero-picture[^"]*">[\s\S]*?<\/picture>/;
+  const pictureMatch = html.match(picturePattern);
+
+  if (!pictureMatch) {
+    throw new Error('Hero <picture class="hero-picture"> not found in index.html');
+  }
+
+  const indent = pictureMatch[1];
+  const pictureTag = pictureMatch[0].match(/<picture[^>]*>/)[0];
+  const imgTag = pictureMatch[0].match(/<img[^>]*>/)[0];
+  const fallbackFormat = image.formats[image.formats.length - 1];
+  const fallbackWidth = image.widths[Math.floor(image.widths.length / 2)];
+
+  const imgAttributes = Object.assign(parseAttributes(imgTag), {
+    src: variantPath(image, fallbackWidth, fallbackFormat),
+    srcset: buildSrcset(image, fallbackFormat),
+    sizes: image.sizes,
+    width: String(dimensions.width),
+    height: String(dimensions.height)
+  });
+
+  const sources = image.formats
+    .filter(format => format !== fallbackFormat)
+    .map(format => `${indent}  <source type="${MIME_TYPES[format]}" srcset="${buildSrcset(image, format)}" sizes="${image.sizes}">`);
+
+  const picture = [
+    `${indent}${pictureTag}`,
+    `${indent}  <!-- Generated by build.js: responsive AVIF/WebP sources with PNG fallback -->`,
+    ...sources,
+    `${indent}  <img ${renderAttributes(imgAttributes)}>`,
+    `${indent}</picture>`
+  ].join('\n');
+
+  // Preload the preferred format so the LCP image starts downloading early
+  const preferredFormat = image.formats[0];
+  const preload = `<link rel="preload" as="image" type="${MIME_TYPES[preferredFormat]}" ` +
+    `imagesrcset="${buildSrcset(image, preferredFormat)}" imagesizes="${image.sizes}" fetchpriority="high">`;
+
+  return html
+    .replace(picturePattern, picture)
+    .replace(
+      /(<!-- Preload critical resources -->\n)(?:[ \t]*<link rel="preload"[^>]*as="image"[^>]*>\n)+/,
+      `$1  ${preload}\n`
+    );
+}
+
+// Generate responsive hero images and copy them into dist/ with hashed names
+async function buildResponsiveImages(manifest) {
+  const image = IMAGE_CONFIG.hero;
+
+  if (!fs.existsSync(image.source)) {
+    return null;
+  }
+
+  const sharp = loadSharp();
+  if (!sharp) {
+    console.log('⚠️  sharp is not installed, skipping responsive images (run: npm install)');
+    return null;
+  }
+
+  const dimensions = await generateImageVariants(sharp, image);
+  console.log('✅ Responsive images generated successfully');
+  console.log(`   Variants: ${image.widths.length * image.formats.length} (${dimensions.generated} updated)`);
+  console.log(`   Widths: ${image.widths.join(', ')}px`);
+  console.log(`   Formats: ${image.formats.join(', ')}`);
+
+  image.widths.forEach(width => {
+    image.formats.forEach(format => {
+      const source = variantPath(image, width, format);
+      manifest[source] = emitHashedFile(source, fs.readFileSync(source));
+    });
+  });
+
+  return dimensions;
+}
+
+// Short content hash used in output file names
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, BUILD_CONFIG.hashLength);
+}
+
+// Write content to dist/ as name.<hash>.ext and return the hashed relative path
+function emitHashedFile(relativePath, content, sourceMap) {
+  const parsed = path.posix.parse(relativePath);
+  const serializedMap = sourceMap ? JSON.stringify(sourceMap) : '';
+  const hashedPath = path.posix.join(parsed.dir, `${parsed.name}.${contentHash(content + serializedMap)}${parsed.ext}`);
+  const outputPath = path.join(BUILD_CONFIG.outDir, hashedPath);
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  if (sourceMap) {
+    // The map sits next to the file; the comment is not part of the hash input
+    const mapName = `${path.posix.basename(hashedPath)}.map`;
+    sourceMap.file = path.posix.basename(hashedPath);
+    fs.writeFileSync(`${outputPath}.map`, JSON.stringify(sourceMap));
+    content = `${content}\n${sourceMappingURLComment(mapName, parsed.ext.slice(1))}\n`;
+  }
+  fs.writeFileSync(outputPath, content);
+  return hashedPath;
+}
+
+// Mapped string for minified JavaScript: each token keeps the positions it had in the bundle
+function mapMinifiedJS(chunks, bundle) {
+  return concatMapped(chunks.map(chunk => (chunk.token
+    ? { text: chunk.value, positions: bundle.positions.slice(chunk.token.start, chunk.token.end) }
+    : generatedString(chunk.value))));
+}
+
+// Bundle and minify the inline theme script (null when there is no entry)
+function buildThemeScript() {
+  const { entry } = BUILD_CONFIG.themeScript;
+  if (!fs.existsSync(entry)) return null;
+
+  const bundle = bundleModules(entry);
+  const minified = minifyJS(bundle.text);
+  const verification = verifyMinifiedJS(bundle.text, minified);
+  if (!verification.valid) {
+    throw new Error(`Minified theme script failed verification:\n   ${verification.errors.join('\n   ')}`);
+  }
+  if (/<\/script/i.test(minified)) {
+    throw new Error(`${entry} cannot be inlined: it contains "</script"`);
+  }
+  return minified;
+}
+
+// Content-Security-Policy of the built pages: scripts from the site itself, plus the
+// inline theme script by hash
+function contentSecurityPolicy(script) {
+  const sources = ["'self'"].concat(script === null ? [] : [scriptHash(script)]);
+  return `script-src ${sources.join(' ')}; object-src 'none'; base-uri 'self'`;
+}
+
+// Replace the theme marker with the policy and the inline script it allows
+function inlineThemeScript(html, script) {
+  const marker = new RegExp(`([ \\t]*)${BUILD_CONFIG.themeScript.marker}\\n?`);
+  return html.replace(marker, (line, indent) => {
+    const policy = `${indent}<meta http-equiv="Content-Security-Policy" content="${contentSecurityPolicy(script)}" />\n`;
+    return script === null ? policy : `${policy}${indent}<script>${script}</script>\n`;
+  });
+}
+
+// Copy files and directories that are deployed unchanged
+function copyStaticFiles() {
+  let copied = 0;
+
+  const copy = (source, target) => {
+    if (fs.statSync(source).isDirectory()) {
+      fs.mkdirSync(target, { recursive: true });
+      fs.readdirSync(source).forEach(entry => {
+        const entryPath = path.posix.join(source, entry);
+        if (!BUILD_CONFIG.exclude.includes(entryPath)) {
+          copy(entryPath, path.join(target, entry));
+        }
+      });
+    } else {
+      fs.copyFileSync(source, target);
+      copied++;
+    }
+  };
+
+  BUILD_CONFIG.staticFiles
+    .filter(file => fs.existsSync(file))
+    .forEach(file => copy(file, path.join(BUILD_CONFIG.outDir, file)));
+
+  return copied;
+}
+
+// Point every reference to a source asset at its hashed dist/ file
+function rewriteAssetReferences(html, manifest) {
+  return Object.keys(manifest).reduce((result, source) => {
+    const escaped = source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Only whole attribute values or srcset candidates, never partial paths
+    const reference = new RegExp(`(["'\\s,(])(?:\\./)?${escaped}(?=["'\\s,)?#])`, 'g');
+    return result.replace(reference, `$1${manifest[source]}`);
+  }, html);
+}
+
+// Show size reduction
+function logSizes(original, minified) {
+  const originalSize = Buffer.byteLength(original, 'utf8');
+  const minifiedSize = Buffer.byteLength(minified, 'utf8');
+  const reduction = ((originalSize - minifiedSize) / originalSize * 100).toFixed(1);
+  console.log(`   Original: ${originalSize} bytes`);
+  console.log(`   Minified: ${minifiedSize} bytes`);
+  console.log(`   Reduction: ${reduction}%`);
+}
+
+// Content translated for a locale, with the page URL and language used by the JSON-LD
+function localizeContent(content, locale) {
+  const site = Object.assign(translateData(content.site, locale.translations), {
+    language: locale.inLanguage,
+    pageUrl: content.site.url + locale.path
+  });
+  return { site, sections: translateData(content.sections, locale.translations), schedule: content.schedule };
+}
+
+// Replace the connpass snapshot with a fresh API response; on failure the old one is kept
+async function refreshEventsSnapshot() {
+  const apiKey = process.env[EVENTS_CONFIG.apiKeyEnv];
+  if (!apiKey) {
+    console.log(`⚠️  ${EVENTS_CONFIG.apiKeyEnv} is not set: keeping ${EVENTS_CONFIG.snapshot}`);
+    return false;
+  }
+
+  try {
+    const snapshot = await fetchSnapshot(EVENTS_CONFIG, apiKey);
+    fs.writeFileSync(EVENTS_CONFIG.snapshot, `${JSON.stringify(snapshot, null, 2)}\n`);
+    console.log(`✅ ${EVENTS_CONFIG.snapshot} refreshed from connpass (${snapshot.events.length} events)`);
+    return true;
+  } catch (error) {
+    console.log(`⚠️  connpass refresh failed, keeping ${EVENTS_CONFIG.snapshot}: ${error.message}`);
+    return false;
+  }
+}
+
+// data/members.json, checked before any of its feeds is read
+function readMembers() {
+  try {
+    return validateMembers(JSON.parse(fs.readFileSync(ARTICLES_CONFIG.members, 'utf8')));
+  } catch (error) {
+    throw new Error(`Cannot read ${ARTICLES_CONFIG.members}: ${error.message}`);
+  }
+}
+
+// Download every member's feed into data/feeds/; a feed that fails keeps its old snapshot
+async function refreshArticleSnapshots() {
+  let members;
+  try {
+    members = readMembers();
+  } catch (error) {
+    console.log(`⚠️  Member feeds not refreshed: ${error.message}`);
+    return false;
+  }
+
+  const failed = await refreshSnapshots(members, {
+    dir: ARTICLES_CONFIG.snapshots,
+    userAgent: ARTICLES_CONFIG.userAgent,
+    timeout: ARTICLES_CONFIG.timeout
+  });
+  const total = members.members.reduce((count, member) => count + member.feeds.length, 0);
+  failed.forEach(({ url, error }) => console.log(`⚠️  Feed refresh failed, keeping the old snapshot of ${url}: ${error}`));
+  console.log(`${failed.length > 0 ? '⚠️ ' : '✅'} ${total - failed.length}/${total} member feeds refreshed into ${ARTICLES_CONFIG.snapshots}/`);
+  return failed.length === 0;
+}
+
+// YYYY-MM-DD in Japan time (the Swedish locale writes ISO dates)
+function articleDate(published) {
+  return new Intl.DateTimeFormat('sv-SE', { timeZone: ARTICLES_CONFIG.timeZone, dateStyle: 'short' })
+    .format(new Date(published));
+}
+
+// Latest articles and per-author counts from the feed snapshots, merged into the section data
+function addArticles(content) {
+  const { articles, authors, missing } = aggregateArticles(readMembers(), url => readSnapshot(ARTICLES_CONFIG.snapshots, url));
+  missing.forEach(url => console.log(`⚠️  No snapshot of ${url} in ${ARTICLES_CONFIG.snapshots}/ (run with --refresh-articles)`));
+
+  const latest = articles.slice(0, ARTICLES_CONFIG.latest).map(article => Object.assign({ date: articleDate(article.published) }, article));
+  Object.assign(content.sections[ARTICLES_CONFIG.section], { latest, authors, empty: latest.length === 0 });
+  console.log(`✅ ${articles.length} member articles by ${authors.length} authors (${latest.length} shown)`);
+  return content;
+}
+
+// Article titles and author names are shown as written, on every locale
+function articleTexts(content) {
+  const section = content.sections[ARTICLES_CONFIG.section];
+  return section.latest.map(article => article.title)
+    .concat(section.latest.map(article => article.author), section.authors.map(author => author.name))
+    .flatMap(text => [text, escapeHTML(text)]);
+}
+
+// Publish the snapshot (already checked by loadContent) for the upcoming events list
+function writeEventsSnapshot(snapshot) {
+  if (!snapshot) {
+    console.log(`⚠️  No ${EVENTS_CONFIG.snapshot}: the Events section only links to connpass`);
+    return;
+  }
+
+  fs.writeFileSync(path.join(BUILD_CONFIG.outDir, EVENTS_CONFIG.output), JSON.stringify(snapshot));
+  const fetched = snapshot.fetched_at ? `fetched ${snapshot.fetched_at}` : 'never fetched';
+  console.log(`✅ ${EVENTS_CONFIG.output} written (${upcomingEvents(snapshot).length} upcoming events, ${fetched})`);
+}
+
+// iCalendar feed and per-event downloads for the "add to calendar" links
+function writeEventCalendars(snapshot, content) {
+  if (!snapshot) return;
+
+  const { feed, dir, refresh } = EVENTS_CONFIG.calendar;
+  const options = {
+    name: content.sections[CONTENT_CONFIG.structuredData.events].event.name,
+    domain: new URL(content.site.url).hostname,
+    stamp: snapshot.fetched_at || new Date()
+  };
+  fs.writeFileSync(path.join(BUILD_CONFIG.outDir, feed), renderCalendar(snapshot.events, Object.assign({ refresh }, options)));
+
+  const eventsDir = path.join(BUILD_CONFIG.outDir, dir);
+  fs.mkdirSync(eventsDir, { recursive: true });
+  snapshot.events.forEach(event => {
+    fs.writeFileSync(path.join(eventsDir, `${event.id}.ics`), renderCalendar([event], options));
+  });
+  console.log(`✅ ${feed} and ${snapshot.events.length} ${dir}/*.ics calendar files written`);
+}
+
+// Atom and RSS feeds, checked with the same validator as deployment-test.js
+function writeFeeds(content) {
+  let announcements;
+  try {
+    announcements = validateAnnouncements(JSON.parse(fs.readFileSync(FEEDS_CONFIG.announcements, 'utf8')));
+  } catch (error) {
+    throw new Error(`Cannot read ${FEEDS_CONFIG.announcements}: ${error.message}`);
+  }
+
+  // Newest first; the feed is as recent as its newest entry, so unchanged data builds identical feeds
+  const entries = feedEntries(content.site, announcements, content.schedule).slice(0, FEEDS_CONFIG.limit);
+  if (entries.length === 0) {
+    throw new Error(`${FEEDS_CONFIG.announcements} needs at least one entry when there are no connpass events`);
+  }
+  const feed = {
+    title: announcements.title,
+    subtitle: announcements.subtitle,
+    url: content.site.url,
+    author: content.site.name,
+    language: 'ja',
+    updated: entries[0].updated,
+    entries
+  };
+  [
+    { format: 'atom', file: FEEDS_CONFIG.atom, render: renderAtom },
+    { format: 'rss', file: FEEDS_CONFIG.rss, render: renderRSS }
+  ].forEach(({ format, file, render }) => {
+    const xml = render(Object.assign({ self: content.site.url + file }, feed));
+    const problems = validateFeed(xml, format);
+    if (problems.length > 0) {
+      throw new Error(`Invalid ${file}:\n   ${problems.join('\n   ')}`);
+    }
+    fs.writeFileSync(path.join(BUILD_CONFIG.outDir, file), xml);
+  });
+  console.log(`✅ ${FEEDS_CONFIG.atom} and ${FEEDS_CONFIG.rss} written (${feed.entries.length} entries)`);
+}
+
+// Print transferred sizes and save the JSON report for the test scripts
+function writeSizeReport(report) {
+  console.log('📦 Transferred sizes:');
+  report.assets.forEach(asset => {
+    const budget = asset.budget !== null ? ` / ${formatBytes(asset.budget)}` : '';
+    const status = asset.overBudget ? '❌' : '  ';
+    console.log(`   ${status} ${asset.path}: ${formatBytes(asset.transferred)}${budget} (raw ${formatBytes(asset.size)})`);
+  });
+  console.log(`   Total (${report.total.include.join(', ')}): ${formatBytes(report.total.transferred)} / ${formatBytes(report.total.budget)}`);
+
+  fs.mkdirSync(path.dirname(BUDGET_CONFIG.report), { recursive: true });
+  fs.writeFileSync(BUDGET_CONFIG.report, JSON.stringify(report, null, 2));
+  console.log(`📄 Size report saved to: ${BUDGET_CONFIG.report}`);
 }
 
 // Build process
-function build() {
+async function build(options = {}) {
   console.log('🔥 Starting build process...');
+  const sourceMaps = options.sourceMaps !== undefined ? options.sourceMaps : BUILD_CONFIG.sourceMaps;
   
   try {
-    // Minify CSS
+    // Start from an empty dist/ so stale hashed files are never deployed
+    fs.rmSync(BUILD_CONFIG.outDir, { recursive: true, force: true });
+    fs.mkdirSync(BUILD_CONFIG.outDir, { recursive: true });
+    const manifest = {};
+    
+    // Render the content sections and structured data from data/ for every locale
+    const locales = loadLocales(I18N_CONFIG);
+    const source = fs.readFileSync('index.html', 'utf8');
+    const structuredData = Object.assign({ schedule: EVENTS_CONFIG.snapshot }, CONTENT_CONFIG.structuredData);
+    const content = addArticles(loadContent(Object.assign({}, CONTENT_CONFIG, { structuredData })));
+    const pages = locales.map(locale => {
+      const rendered = renderContent(source, CONTENT_CONFIG, localizeContent(content, locale));
+      return { locale, page: rendered.html, sections: rendered.sections };
+    });
+    console.log(`✅ ${pages[0].sections} content sections rendered from data/ (${locales.map(locale => locale.code).join(', ')})`);
+    
+    // Lift inline style attributes into generated classes (shared by all locales)
+    pages.forEach(page => {
+      page.inlineStyles = extractInlineStyles(page.page);
+    });
+    const { page, inlineStyles } = pages[0];
+    pages.slice(1).forEach(other => {
+      if (other.inlineStyles.css !== inlineStyles.css || other.inlineStyles.critical !== inlineStyles.critical) {
+        throw new Error(`Inline styles of the ${other.locale.code} page differ from the ${pages[0].locale.code} page`);
+      }
+    });
+    console.log(`✅ ${inlineStyles.attributes} inline style attributes lifted into ${inlineStyles.classes} classes`);
+    
+    // Minify CSS, splitting out the above-the-fold rules to inline
+    let criticalCSS = null;
     if (fs.existsSync('styles.css')) {
       const css = fs.readFileSync('styles.css', 'utf8');
-      const minifiedCSS = minifyCSS(css);
-      fs.writeFileSync('styles.min.css', minifiedCSS);
-      console.log('✅ CSS minified successfully');
-      
-      // Show size reduction
-      const originalSize = Buffer.byteLength(css, 'utf8');
-      const minifiedSize = Buffer.byteLength(minifiedCSS, 'utf8');
-      const reduction = ((originalSize - minifiedSize) / originalSize * 100).toFixed(1);
-      console.log(`   Original: ${originalSize} bytes`);
-      console.log(`   Minified: ${minifiedSize} bytes`);
-      console.log(`   Reduction: ${reduction}%`);
+      const split = extractCriticalCSS(css);
+      const mappedCSS = minifyMappedCSS(concatMapped([
+        split.mapped.remainder,
+        generatedString('\n'),
+        inlineStyles.mapped.css
+      ]));
+      const minifiedCSS = mappedCSS.text;
+      criticalCSS = minifyCSS(`${split.critical}\n${inlineStyles.critical}`);
+      const cssMap = sourceMaps
+        ? createSourceMap(mappedCSS, { sources: { 'styles.css': css, 'index.html': page } })
+        : null;
+      manifest['styles.css'] = emitHashedFile('styles.css', minifiedCSS, cssMap);
+      console.log(`✅ CSS minified successfully → ${manifest['styles.css']}${cssMap ? ' (+ source map)' : ''}`);
+      logSizes(css, minifiedCSS);
+      console.log(`   Critical (inlined): ${Buffer.byteLength(criticalCSS, 'utf8')} bytes`);
+    }
+    
+    // Bundle and minify JavaScript
+    const { entry, output } = BUILD_CONFIG.script;
+    if (fs.existsSync(entry)) {
+      const bundle = bundleModules(entry);
+      const { code: minifiedJS, chunks } = minifyJS(bundle.text, { tokens: true });
+
+      // Round-trip check: the minified script must parse and behave like the bundle
+      const verification = verifyMinifiedJS(bundle.text, minifiedJS);
+      if (!verification.valid) {
+        throw new Error(`Minified JavaScript failed verification:\n   ${verification.errors.join('\n   ')}`);
+      }
+
+      const jsMap = sourceMaps
+        ? createSourceMap(mapMinifiedJS(chunks, bundle), { sources: bundle.sources })
+        : null;
+      manifest[output] = emitHashedFile(output, minifiedJS, jsMap);
+      console.log(`✅ JavaScript bundled from ${bundle.modules.length} modules and minified (round-trip verified) → ${manifest[output]}${jsMap ? ' (+ source map)' : ''}`);
+      logSizes(bundle.text, minifiedJS);
+    }
+    
+    const themeScript = buildThemeScript();
+    if (themeScript !== null) {
+      console.log(`✅ Theme script bundled and minified (round-trip verified, ${Buffer.byteLength(themeScript, 'utf8')} bytes inlined in <head>)`);
     }
     
-    // Minify JavaScript
-    if (fs.existsSync('script.js')) {
-      const js = fs.readFileSync('script.js', 'utf8');
-      const minifiedJS = minifyJS(js);
-      fs.writeFileSync('script.min.js', minifiedJS);
-      console.log('✅ JavaScript minified successfully');
+    // Generate responsive images
+    const heroDimensions = await buildResponsiveImages(manifest);
+    
+    // Copy static assets
+    const copied = copyStaticFiles();
+    console.log(`✅ ${copied} static files copied to ${BUILD_CONFIG.outDir}/`);
+    writeEventsSnapshot(content.schedule);
+    writeEventCalendars(content.schedule, content);
+    writeFeeds(content);
+    
+    // Write one index.html per locale pointing at the hashed assets
+    pages.forEach(({ locale, inlineStyles: localeStyles }) => {
+      let html = inlineThemeScript(localeStyles.html, themeScript);
+      if (heroDimensions) {
+        html = rewriteHeroMarkup(html, IMAGE_CONFIG.hero, heroDimensions);
+      }
+      if (criticalCSS !== null) {
+        html = inlineCriticalCSS(html, 'styles.css', criticalCSS);
+      }
+      html = rewriteAssetReferences(html, manifest);
+      html = translateHTML(html, locale.translations);
+      html = relocateURLs(html, '../'.repeat(locale.path.split('/').filter(Boolean).length));
+      html = localizePage(html, locale, locales, content.site.url);
+      const pagePath = path.posix.join(locale.path, 'index.html');
       
-      // Show size reduction
-      const originalSize = Buffer.byteLength(js, 'utf8');
-      const minifiedSize = Buffer.byteLength(minifiedJS, 'utf8');
-      const reduction = ((originalSize - minifiedSize) / originalSize * 100).toFixed(1);
-      console.log(`   Original: ${originalSize} bytes`);
-      console.log(`   Minified: ${minifiedSize} bytes`);
-      console.log(`   Reduction: ${reduction}%`);
+      // Inline event handlers would rule out a strict Content-Security-Policy
+      const handlers = findInlineEventHandlers(html);
+      if (handlers.length > 0) {
+        throw new Error(`Inline event handlers found in ${pagePath}: ${handlers.join(', ')}`);
+      }
+      const blocked = findInlineScripts(html).filter(script => script !== themeScript);
+      if (blocked.length > 0) {
+        throw new Error(`${pagePath} has ${blocked.length} inline scripts its Content-Security-Policy would block`);
+      }
+      
+      if (locale !== locales[0]) {
+        const allowed = locales.flatMap(other => [other.name, other.switchLabel]).concat(articleTexts(content));
+        const untranslated = findUntranslated(html, allowed);
+        if (untranslated.length > 0) {
+          console.log(`⚠️  ${untranslated.length} strings missing from ${I18N_CONFIG.dir}/${locale.code}.json:`);
+          untranslated.forEach(text => console.log(`   ${JSON.stringify(text)}`));
+        }
+      }
+      
+      fs.mkdirSync(path.join(BUILD_CONFIG.outDir, locale.path), { recursive: true });
+      fs.writeFileSync(path.join(BUILD_CONFIG.outDir, pagePath), html);
+      console.log(`✅ ${pagePath} written with ${Object.keys(manifest).length} hashed asset references`);
+    });
+    
+    // Precompress text assets and enforce size budgets
+    const compressed = compressAssets(BUILD_CONFIG.outDir);
+    console.log(`✅ ${compressed} text assets precompressed (gzip, brotli)`);
+    const sizeReport = checkBudgets(measureAssets(BUILD_CONFIG.outDir), BUDGET_CONFIG);
+    writeSizeReport(sizeReport);
+    if (!sizeReport.passed) {
+      throw new Error(`Size budget exceeded:\n   ${sizeReport.violations.join('\n   ')}`);
     }
     
-    console.log('🎉 Build completed successfully!');
+    console.log(`🎉 Build completed successfully! Output: ${BUILD_CONFIG.outDir}/`);
+    return manifest;
     
   } catch (error) {
     console.error('❌ Build failed:', error.message);
+    if (options.exitOnError === false) throw error;
     process.exit(1);
   }
 }
 
+// Serve dist/ over HTTP (with live reload when watching)
+function serve(options = {}) {
+  const devServer = createDevServer({ root: BUILD_CONFIG.outDir, liveReload: options.liveReload });
+  devServer.server.listen(options.port || DEV_CONFIG.port, () => {
+    console.log(`🌐 Serving ${BUILD_CONFIG.outDir}/ at http://localhost:${devServer.server.address().port}`);
+  });
+  return devServer;
+}
+
+// Build, serve and rebuild on source changes, pushing live reload to open pages
+async function dev(options = {}) {
+  try {
+    await build({ exitOnError: false });
+  } catch (error) {
+    // Keep watching so the next save can fix the build
+  }
+
+  const devServer = serve(Object.assign({}, options, { liveReload: true }));
+  let building = false;
+  let queued = [];
+
+  const rebuild = async changed => {
+    queued = queued.concat(changed);
+    if (building) return;
+
+    building = true;
+    while (queued.length > 0) {
+      const batch = Array.from(new Set(queued));
+      queued = [];
+      console.log(`\n👀 Changed: ${batch.join(', ')}`);
+
+      try {
+        await build({ exitOnError: false });
+        const cssOnly = batch.every(file => DEV_CONFIG.hotSwap.includes(file.split(path.sep).join('/')));
+        devServer.notify(cssOnly ? 'css' : 'reload');
+      } catch (error) {
+        devServer.notify('build-error', error.message);
+      }
+    }
+    building = false;
+  };
+
+  const watcher = watchPaths(DEV_CONFIG.watch, rebuild, { ignore: DEV_CONFIG.ignore });
+  console.log(`👀 Watching ${DEV_CONFIG.watch.join(', ')} for changes`);
+
+  return {
+    server: devServer.server,
+    close() {
+      watcher.close();
+      devServer.close();
+    }
+  };
+}
+
 // Run build if this script is executed directly
 if (require.main === module) {
-  build();
+  const args = process.argv.slice(2);
+  if (args.includes('--watch')) {
+    dev();
+  } else if (args.includes('--serve')) {
+    // Serves the last build as is; a fresh clone has nothing to serve yet
+    if (!fs.existsSync(path.join(BUILD_CONFIG.outDir, 'index.html'))) {
+      console.error(`❌ Nothing to serve: ${BUILD_CONFIG.outDir}/index.html does not exist. Run \`npm run build\` first, or \`npm run dev\` to build, serve and rebuild on changes.`);
+      process.exit(1);
+    }
+    serve({ liveReload: false });
+  } else {
+    const refresh = Promise.all([
+      args.includes('--refresh-events') ? refreshEventsSnapshot() : null,
+      args.includes('--refresh-articles') ? refreshArticleSnapshots() : null
+    ]);
+    refresh.then(() => build({ sourceMaps: !args.includes('--no-source-maps') && BUILD_CONFIG.sourceMaps }));
+  }
 }
 
-module.exports = { build, minifyCSS, minifyJS };
\ No newline at end of file
+module.exports = {
+  build,
+  dev,
+  serve,
+  minifyCSS,
+  minifyMappedCSS,
+  minifyJS,
+  verifyMinifiedJS,
+  buildResponsiveImages,
+  rewriteHeroMarkup,
+  rewriteAssetReferences,
+  refreshEventsSnapshot,
+  refreshArticleSnapshots,
+  BUILD_CONFIG,
+  EVENTS_CONFIG,
+  FEEDS_CONFIG,
+  ARTICLES_CONFIG,
+  CONTENT_CONFIG,
+  I18N_CONFIG,
+  IMAGE_CONFIG,
+  BUDGET_CONFIG,
+  DEV_CONFIG
+};
@@ -8,6 +8,7 @@
  * - Custom domain HTTPS configuration
  * - Deployment status and accessibility
  * - SEO and metadata validation
+ * - Atom/RSS feeds linked from the page
  */
 
 const fs = require('fs');
@@ -15,12 +16,18 @@ const path = require('path');
 const { execSync } = require('child_process');
 const https = require('https');
 const http = require('http');
+const { validateFeed } = require('./lib/feeds');
 
 // Configuration
 const CONFIG = {
   domain: 'www.autoracex.dev',
   githubRepo: 'autoracex/toukon_elixir',
-  outputDir: './deployment-test-reports'
+  outputDir: './deployment-test-reports',
+  // Feeds advertised with <link rel="alternate"> (written by build.js, see lib/feeds.js)
+  feeds: [
+    { format: 'atom', type: 'application/atom+xml' },
+    { format: 'rss', type: 'application/rss+xml' }
+  ]
 };
 
 // Ensure output directory exists
@@ -31,12 +38,12 @@ if (!fs.existsSync(CONFIG.outputDir)) {
 /**
  * Check HTTPS connectivity
  */
-function checkHTTPS(domain) {
+function checkHTTPS(domain, requestPath = '/') {
   return new Promise((resolve, reject) => {
     const options = {
       hostname: domain,
       port: 443,
-      path: '/',
+      path: requestPath,
       method: 'GET',
       timeout: 10000
     };
@@ -324,6 +331,63 @@ async function verifySEOAndMetadata() {
   }
 }
 
+/**
+ * Verify the Atom and RSS feeds linked from the page
+ */
+async function verifyFeeds() {
+  console.log('📰 Verifying Atom and RSS feeds...\n');
+  
+  try {
+    const response = await checkHTTPS(CONFIG.domain);
+    
+    if (response.statusCode !== 200) {
+      console.log('❌ Cannot verify feeds - site not accessible');
+      return false;
+    }
+    
+    let allPassed = true;
+    
+    for (const feed of CONFIG.feeds) {
+      const link = response.body.match(new RegExp(`<link[^>]*type="${feed.type.replace('+', '\\+')}"[^>]*>`));
+      const href = link && link[0].match(/href="([^"]+)"/);
+      if (!href) {
+        console.log(`❌ No <link rel="alternate" type="${feed.type}"> in the page`);
+        allPassed = false;
+        continue;
+      }
+      
+      const url = new URL(href[1], `https://${CONFIG.domain}/`);
+      const feedResponse = await checkHTTPS(url.hostname, url.pathname);
+      if (feedResponse.statusCode !== 200) {
+        console.log(`❌ ${url.href}: HTTP ${feedResponse.statusCode}`);
+        allPassed = false;
+        continue;
+      }
+      
+      const contentType = feedResponse.headers['content-type'] || '';
+      if (!/xml/.test(contentType)) {
+        console.log(`⚠️  ${url.href} is served as ${contentType || 'unknown'} (expected an XML type)`);
+      }
+      
+      const problems = validateFeed(feedResponse.body, feed.format);
+      if (problems.length > 0) {
+        console.log(`❌ ${url.href} is not a valid ${feed.format} feed:`);
+        problems.forEach(problem => console.log(`   - ${problem}`));
+        allPassed = false;
+      } else {
+        const entries = (feedResponse.body.match(feed.format === 'atom' ? /<entry>/g : /<item>/g) || []).length;
+        console.log(`✅ ${url.href}: valid ${feed.format} feed (${entries} entries)`);
+      }
+    }
+    
+    return allPassed;
+    
+  } catch (error) {
+    console.error('❌ Feed verification failed:', error.message);
+    return false;
+  }
+}
+
 /**
  * Generate deployment test report
  */
@@ -406,6 +470,23 @@ async function runDeploymentTests() {
     };
   }
   
+  console.log(''); // Add spacing
+  
+  // Test 4: Atom/RSS feeds
+  try {
+    const feedsResult = await verifyFeeds();
+    results.feeds = {
+      status: feedsResult ? 'PASSED' : 'FAILED',
+      description: 'Atom and RSS feeds linked from the page'
+    };
+  } catch (error) {
+    results.feeds = {
+      status: 'FAILED',
+      description: 'Atom and RSS feeds linked from the page',
+      error: error.message
+    };
+  }
+  
   // Generate and display summary
   console.log('\n📊 Deployment Verification Results:');
   console.log('===================================');
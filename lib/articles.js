@@ -0,0 +1,239 @@
+/**
+ * Member article showcase (学びの公開)
+ *
+ * Members register their Qiita / Zenn feed URLs in data/members.json.
+ * `node build.js --refresh-articles` downloads every feed into one
+ * snapshot file per URL, and builds only ever read those snapshots: the
+ * site builds offline, and a feed that is down keeps its last snapshot.
+ * Articles from all feeds are deduplicated by URL and sorted newest first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+const MAX_REDIRECTS = 3;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Throw when the members file is missing something the aggregator needs
+ */
+function validateMembers(members) {
+  if (!members || !Array.isArray(members.members)) {
+    throw new Error('expected a "members" array');
+  }
+  const names = new Set();
+  members.members.forEach((member, index) => {
+    if (typeof member.name !== 'string' || member.name.trim() === '' || names.has(member.name)) {
+      throw new Error(`members[${index}] needs a unique "name"`);
+    }
+    names.add(member.name);
+    if (member.url !== undefined && !/^https:\/\//.test(member.url)) {
+      throw new Error(`members[${index}] ("${member.name}") has a "url" that is not an https:// URL`);
+    }
+    if (!Array.isArray(member.feeds) || member.feeds.length === 0) {
+      throw new Error(`members[${index}] ("${member.name}") needs at least one feed URL in "feeds"`);
+    }
+    member.feeds.forEach(feed => {
+      if (!/^https:\/\//.test(feed)) {
+        throw new Error(`members[${index}] ("${member.name}") has a feed that is not an https:// URL: ${feed}`);
+      }
+    });
+  });
+  return members;
+}
+
+/**
+ * Snapshot file for a feed URL, e.g. qiita.com-toukon-feed.xml
+ */
+function snapshotPath(dir, url) {
+  const { hostname, pathname } = new URL(url);
+  const name = `${hostname}${pathname}`.replace(/[^\w.]+/g, '-').replace(/-+$/, '');
+  return path.join(dir, `${name}.xml`);
+}
+
+// Entities are decoded in character data only; CDATA sections are kept verbatim
+function decodeXML(text) {
+  return text
+    .split(/<!\[CDATA\[([\s\S]*?)\]\]>/)
+    .map((part, index) => (index % 2 === 1 ? part : part.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (entity, decimal, hex, name) => {
+      if (decimal) return String.fromCodePoint(Number(decimal));
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      return name in ENTITIES ? ENTITIES[name] : entity;
+    })))
+    .join('')
+    .trim();
+}
+
+function childText(xml, name) {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXML(match[1]) : '';
+}
+
+function blocks(xml, name) {
+  return xml.match(new RegExp(`<${name}[\\s>][\\s\\S]*?</${name}>`, 'g')) || [];
+}
+
+/**
+ * Articles in an Atom (Qiita) or RSS 2.0 (Zenn) feed: [{ title, url, published }]
+ *
+ * Entries without a link or a readable date are skipped.
+ */
+function parseFeed(xml) {
+  const atom = /<feed[\s>]/.test(xml);
+  const articles = atom
+    ? blocks(xml, 'entry').map(entry => {
+      const link = entry.match(/<link\b[^>]*rel="alternate"[^>]*>/) || entry.match(/<link\b[^>]*>/);
+      const href = link && link[0].match(/href="([^"]*)"/);
+      return {
+        title: childText(entry, 'title'),
+        url: href ? decodeXML(href[1]) : '',
+        published: childText(entry, 'published') || childText(entry, 'updated')
+      };
+    })
+    : blocks(xml, 'item').map(item => ({
+      title: childText(item, 'title'),
+      url: childText(item, 'link'),
+      published: childText(item, 'pubDate')
+    }));
+
+  return articles
+    .filter(article => /^https?:\/\//.test(article.url) && !Number.isNaN(Date.parse(article.published)))
+    .map(article => Object.assign(article, { published: new Date(article.published).toISOString() }));
+}
+
+// The same article reached through different feeds or tracking parameters
+function articleKey(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.search = '';
+  return parsed.href.replace(/\/$/, '');
+}
+
+// https://qiita.com/<user>/feed → https://qiita.com/<user>
+function profileURL(feed) {
+  return feed.replace(/\/(feed|rss|atom)(\.\w+)?$/, '');
+}
+
+function sourceName(url) {
+  const { hostname } = new URL(url);
+  if (/(^|\.)qiita\.com$/.test(hostname)) return 'Qiita';
+  if (/(^|\.)zenn\.dev$/.test(hostname)) return 'Zenn';
+  return hostname;
+}
+
+/**
+ * Every member's articles, deduplicated and newest first, with per-author counts
+ *
+ * readFeed(url) returns the feed XML or null when there is no snapshot.
+ * Returns { articles, authors, missing } where authors is
+ * [{ name, url, count }] (most articles first, url defaulting to the
+ * profile page of the first feed) and missing lists the feed URLs that
+ * had no snapshot.
+ */
+function aggregateArticles(members, readFeed) {
+  const seen = new Map();
+  const missing = [];
+
+  members.members.forEach(member => {
+    member.feeds.forEach(feed => {
+      const xml = readFeed(feed);
+      if (xml === null) {
+        missing.push(feed);
+        return;
+      }
+      parseFeed(xml).forEach(article => {
+        const key = articleKey(article.url);
+        if (!seen.has(key)) {
+          seen.set(key, Object.assign(article, { author: member.name, source: sourceName(article.url) }));
+        }
+      });
+    });
+  });
+
+  const articles = Array.from(seen.values())
+    .sort((a, b) => b.published.localeCompare(a.published) || a.title.localeCompare(b.title));
+  const authors = members.members
+    .map(member => ({
+      name: member.name,
+      url: member.url || profileURL(member.feeds[0]),
+      count: articles.filter(article => article.author === member.name).length
+    }))
+    .filter(author => author.count > 0)
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+  return { articles, authors, missing };
+}
+
+/**
+ * Read a feed's snapshot from dir (null when there is none)
+ */
+function readSnapshot(dir, url) {
+  const file = snapshotPath(dir, url);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function requestText(url, options, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { headers: { 'User-Agent': options.userAgent } }, response => {
+      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`${url}: too many redirects`));
+          return;
+        }
+        resolve(requestText(new URL(response.headers.location, url).href, options, redirects + 1));
+        return;
+      }
+
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        body += chunk;
+      });
+      response.on('end', () => {
+        if (response.statusCode !== 200) {
+          reject(new Error(`${url} responded with HTTP ${response.statusCode}`));
+          return;
+        }
+        resolve(body);
+      });
+    });
+    request.setTimeout(options.timeout, () => request.destroy(new Error(`${url} timed out after ${options.timeout}ms`)));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Download every registered feed into its snapshot file
+ *
+ * Feeds are fetched one at a time; a failing feed keeps its old snapshot.
+ * Returns [{ url, error }] for the feeds that could not be refreshed.
+ */
+async function refreshSnapshots(members, options) {
+  const failed = [];
+  fs.mkdirSync(options.dir, { recursive: true });
+
+  for (const url of members.members.flatMap(member => member.feeds)) {
+    try {
+      const xml = await requestText(url, options);
+      if (!/<(feed|rss)[\s>]/.test(xml)) {
+        throw new Error(`${url} is not an Atom or RSS feed`);
+      }
+      fs.writeFileSync(snapshotPath(options.dir, url), xml);
+    } catch (error) {
+      failed.push({ url, error: error.message });
+    }
+  }
+  return failed;
+}
+
+module.exports = {
+  validateMembers,
+  snapshotPath,
+  parseFeed,
+  aggregateArticles,
+  readSnapshot,
+  refreshSnapshots
+};
@@ -0,0 +1,253 @@
+/**
+ * Browser bundle from ES modules
+ *
+ * The page script is written as ES modules in src/ (entry: src/main.js)
+ * so it can be imported by the unit tests; this bundler inlines them into
+ * one classic script so the page still loads a single deferred file and
+ * ships no module loader:
+ *
+ *   (() => {
+ *     'use strict';
+ *     const __src_events = (() => { …module code…; return { PAGE_EVENTS, dispatchPageEvent }; })();
+ *     …dependencies first, entry module last…
+ *   })();
+ *
+ * Only the static subset the site needs is supported: named and
+ * side-effect imports of relative paths (`import { a, b as c } from
+ * './x.js'`, `import './x.js'`) and named exports of functions, classes
+ * and constants (`export function`, `export class`, `export const`,
+ * `export { a, b as c }`). Exported values are copied when the module has
+ * finished evaluating, so `export let` is rejected instead of silently
+ * losing live bindings. The result is a mapped string (see source-map.js)
+ * whose positions point back into the module files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenizeJS } = require('./js-minifier');
+const { mappedString, generatedString, concatMapped } = require('./source-map');
+
+const DECLARATION_KEYWORDS = ['function', 'class', 'const', 'async'];
+
+function lineOf(source, offset) {
+  return source.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Variable holding a module's exports in the bundle (src/page-events.js → __src_page_events)
+ */
+function moduleVariable(file) {
+  return `__${file.replace(/\.js$/, '').replace(/[^\w]/g, '_')}`;
+}
+
+/**
+ * Parse "{ a, b as c }" starting at tokens[index] (the "{")
+ *
+ * Returns the [{ name, alias }] pairs and the index of the closing "}".
+ */
+function parseNameList(tokens, index, fail) {
+  const names = [];
+  let i = index + 1;
+
+  while (tokens[i] && tokens[i].value !== '}') {
+    if (tokens[i].type !== 'identifier') fail(tokens[i], `unexpected "${tokens[i].value}" in a name list`);
+    const name = tokens[i].value;
+    let alias = name;
+    i++;
+    if (tokens[i] && tokens[i].value === 'as') {
+      alias = tokens[i + 1].value;
+      i += 2;
+    }
+    names.push({ name, alias });
+    if (tokens[i] && tokens[i].value === ',') i++;
+  }
+
+  if (!tokens[i]) fail(tokens[index], 'unterminated name list');
+  return { names, end: i };
+}
+
+/**
+ * Find the top-level import and export syntax of a module
+ *
+ * Returns { imports, exports, removed } where removed lists the [start, end)
+ * source ranges that are dropped from the bundled code.
+ */
+function parseModule(file, source) {
+  const tokens = tokenizeJS(source).filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+  const imports = [];
+  const exports = [];
+  const removed = [];
+  let depth = 0;
+
+  const fail = (token, message) => {
+    throw new SyntaxError(`${file}:${lineOf(source, token.start)}: ${message}`);
+  };
+  // Optional ";" after a statement that ends at tokens[index]
+  const statementEnd = index => (tokens[index + 1] && tokens[index + 1].value === ';' ? index + 1 : index);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const previous = tokens[i - 1];
+
+    if (token.type === 'punctuator' && ['{', '(', '['].includes(token.value)) depth++;
+    else if (token.type === 'punctuator' && ['}', ')', ']'].includes(token.value)) depth--;
+    else if (token.type === 'template') depth += (token.opensExpression ? 1 : 0) - (token.value[0] === '}' ? 1 : 0);
+
+    if (depth !== 0 || token.type !== 'identifier' || (previous && (previous.value === '.' || previous.value === '?.'))) {
+      continue;
+    }
+
+    if (token.value === 'import') {
+      const next = tokens[i + 1];
+      let specifier;
+      let bindings = [];
+      let last;
+
+      if (next && next.type === 'string') {
+        specifier = next;
+        last = i + 1;
+      } else if (next && next.value === '{') {
+        const list = parseNameList(tokens, i + 1, fail);
+        bindings = list.names.map(({ name, alias }) => ({ imported: name, local: alias }));
+        if (!tokens[list.end + 1] || tokens[list.end + 1].value !== 'from') fail(token, 'expected "from" after the import list');
+        specifier = tokens[list.end + 2];
+        last = list.end + 2;
+      } else if (next && (next.value === '(' || next.value === '.')) {
+        fail(token, 'dynamic import() and import.meta are not supported');
+      } else {
+        fail(token, 'only named imports are supported (import { name } from \'./file.js\')');
+      }
+
+      if (!specifier || specifier.type !== 'string') fail(token, 'expected a module path string');
+      last = statementEnd(last);
+      imports.push({ specifier: specifier.value.slice(1, -1), bindings, line: lineOf(source, token.start) });
+      removed.push([token.start, tokens[last].end]);
+      i = last;
+    } else if (token.value === 'export') {
+      const next = tokens[i + 1];
+
+      if (next && next.value === '{') {
+        const list = parseNameList(tokens, i + 1, fail);
+        if (tokens[list.end + 1] && tokens[list.end + 1].value === 'from') fail(token, 're-exports are not supported');
+        list.names.forEach(({ name, alias }) => exports.push({ local: name, exported: alias }));
+        const last = statementEnd(list.end);
+        removed.push([token.start, tokens[last].end]);
+        i = last;
+      } else if (next && DECLARATION_KEYWORDS.includes(next.value)) {
+        let nameIndex = i + 2;
+        if (next.value === 'async') {
+          if (!tokens[i + 2] || tokens[i + 2].value !== 'function') fail(token, 'expected "function" after "export async"');
+          nameIndex++;
+        }
+        if (tokens[nameIndex] && tokens[nameIndex].value === '*') nameIndex++;
+        const name = tokens[nameIndex];
+        if (!name || name.type !== 'identifier') fail(token, 'exported declarations need a name (destructuring is not supported)');
+
+        exports.push({ local: name.value, exported: name.value });
+        // Keep the declaration, drop the "export" keyword
+        removed.push([token.start, next.start]);
+      } else {
+        fail(token, `unsupported export "${next ? next.value : ''}" (use export function/class/const or export { name })`);
+      }
+    }
+  }
+
+  return { imports, exports, removed };
+}
+
+/**
+ * Bundle `entry` and every module it imports
+ *
+ * Paths are relative to the working directory with forward slashes (e.g.
+ * "src/main.js"); they are also the source names in the mapped output.
+ * Returns { text, positions, modules, sources } where modules lists the
+ * files in evaluation order and sources maps each file to its content.
+ */
+function bundleModules(entry) {
+  const modules = new Map();
+  const visiting = [];
+
+  const load = (file, importer) => {
+    if (modules.has(file)) return modules.get(file);
+    if (visiting.includes(file)) {
+      throw new Error(`Circular import: ${visiting.slice(visiting.indexOf(file)).concat(file).join(' → ')}`);
+    }
+
+    let source;
+    try {
+      source = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read ${file}${importer ? ` (imported by ${importer})` : ''}: ${error.message}`);
+    }
+
+    visiting.push(file);
+    const module = Object.assign({ file, source, name: moduleVariable(file) }, parseModule(file, source));
+
+    module.imports.forEach(entryImport => {
+      if (!/^\.\.?\//.test(entryImport.specifier)) {
+        throw new Error(`${file}:${entryImport.line}: only relative imports are supported ("${entryImport.specifier}")`);
+      }
+      entryImport.file = path.posix.join(path.posix.dirname(file), entryImport.specifier);
+      const dependency = load(entryImport.file, file);
+
+      entryImport.bindings.forEach(binding => {
+        if (!dependency.exports.some(candidate => candidate.exported === binding.imported)) {
+          throw new Error(`${file}:${entryImport.line}: "${binding.imported}" is not exported by ${entryImport.file}`);
+        }
+      });
+    });
+
+    visiting.pop();
+    modules.set(file, module);
+    return module;
+  };
+
+  const entryModule = load(path.posix.normalize(entry), null);
+  const order = Array.from(modules.values());
+
+  const body = module => {
+    const parts = module.imports
+      .filter(entryImport => entryImport.bindings.length > 0)
+      .map(entryImport => {
+        const names = entryImport.bindings
+          .map(({ imported, local }) => (imported === local ? local : `${imported}: ${local}`))
+          .join(', ');
+        return generatedString(`const { ${names} } = ${modules.get(entryImport.file).name};\n`);
+      });
+
+    // Module code minus the import/export syntax
+    let last = 0;
+    module.removed.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+      parts.push(mappedString(module.source.slice(last, start), module.file, last));
+      last = end;
+    });
+    parts.push(mappedString(module.source.slice(last), module.file, last));
+    return parts;
+  };
+
+  const parts = [generatedString('(() => {\n\'use strict\';\n\n')];
+  order.forEach(module => {
+    if (module === entryModule) {
+      parts.push(generatedString(`// ${module.file}\n`), ...body(module));
+      return;
+    }
+    const exported = module.exports
+      .map(({ local, exported: name }) => (local === name ? local : `${name}: ${local}`))
+      .join(', ');
+    parts.push(
+      generatedString(`// ${module.file}\nconst ${module.name} = (() => {\n`),
+      ...body(module),
+      generatedString(`\nreturn { ${exported} };\n})();\n\n`)
+    );
+  });
+  parts.push(generatedString('\n})();\n'));
+
+  const sources = {};
+  order.forEach(module => {
+    sources[module.file] = module.source;
+  });
+
+  return Object.assign(concatMapped(parts), { modules: order.map(module => module.file), sources });
+}
+
+module.exports = { bundleModules, parseModule };
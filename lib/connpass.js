@@ -0,0 +1,138 @@
+/**
+ * connpass events snapshot
+ *
+ * The upcoming events list in the Events section is rendered in the
+ * browser from events.json, a copy of a connpass API (v2) response kept
+ * in data/. `node build.js --refresh-events` replaces the snapshot with a
+ * fresh response (the API needs a key in CONNPASS_API_KEY) and stamps it
+ * with `fetched_at`, which the page uses to ignore stale data.
+ */
+
+const https = require('https');
+
+// Fields the page, the JSON-LD and the feeds read; the rest of each event (descriptions are long HTML) is dropped
+const EVENT_FIELDS = [
+  'id', 'title', 'url', 'started_at', 'ended_at', 'updated_at', 'limit', 'accepted', 'waiting', 'place', 'address', 'lat', 'lon'
+];
+const RESULT_FIELDS = ['results_returned', 'results_available', 'results_start'];
+
+// connpass filters by month ("ym=202611,202612"), counted in JST
+function searchMonths(now, count) {
+  const jst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
+  return Array.from({ length: count }, (unused, offset) => {
+    const month = new Date(Date.UTC(jst.getUTCFullYear(), jst.getUTCMonth() + offset, 1));
+    return `${month.getUTCFullYear()}${String(month.getUTCMonth() + 1).padStart(2, '0')}`;
+  });
+}
+
+/**
+ * API URL for the group's events in the next `config.months` months
+ */
+function eventsURL(config, now = new Date()) {
+  const query = new URLSearchParams({
+    subdomain: config.subdomain,
+    ym: searchMonths(now, config.months).join(','),
+    order: '2',
+    count: String(config.count)
+  });
+  return `${config.api}?${query}`;
+}
+
+function requestJSON(url, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { headers }, response => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        body += chunk;
+      });
+      response.on('end', () => {
+        if (response.statusCode !== 200) {
+          reject(new Error(`${url} responded with HTTP ${response.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(new Error(`${url} returned invalid JSON: ${error.message}`));
+        }
+      });
+    });
+    request.setTimeout(timeout, () => request.destroy(new Error(`${url} timed out after ${timeout}ms`)));
+    request.on('error', reject);
+  });
+}
+
+function isDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Throw when snapshot is not a connpass response the page can render
+ */
+function validateSnapshot(snapshot) {
+  if (!snapshot || !Array.isArray(snapshot.events)) {
+    throw new Error('expected a connpass API response with an "events" array');
+  }
+  if (snapshot.fetched_at !== undefined && snapshot.fetched_at !== null && !isDate(snapshot.fetched_at)) {
+    throw new Error(`"fetched_at" is not a date: ${JSON.stringify(snapshot.fetched_at)}`);
+  }
+  snapshot.events.forEach((event, index) => {
+    if (typeof event.title !== 'string' || typeof event.url !== 'string') {
+      throw new Error(`events[${index}] needs a "title" and a "url"`);
+    }
+    // Names the event's .ics file (see lib/icalendar.js)
+    if (!Number.isInteger(event.id)) {
+      throw new Error(`events[${index}] ("${event.title}") needs a numeric "id"`);
+    }
+    if (!isDate(event.started_at) || (event.ended_at && !isDate(event.ended_at))) {
+      throw new Error(`events[${index}] ("${event.title}") has an invalid "started_at" or "ended_at"`);
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * Keep the response shape but only the fields in EVENT_FIELDS
+ */
+function trimSnapshot(snapshot) {
+  const trimmed = {};
+  RESULT_FIELDS.filter(field => field in snapshot).forEach(field => {
+    trimmed[field] = snapshot[field];
+  });
+  trimmed.events = snapshot.events.map(event => {
+    const kept = {};
+    EVENT_FIELDS.filter(field => field in event).forEach(field => {
+      kept[field] = event[field];
+    });
+    return kept;
+  });
+  trimmed.fetched_at = snapshot.fetched_at === undefined ? null : snapshot.fetched_at;
+  return trimmed;
+}
+
+/**
+ * Fetch, check and trim a new snapshot, stamped with the time it was fetched
+ */
+async function fetchSnapshot(config, apiKey, now = new Date()) {
+  const response = await requestJSON(eventsURL(config, now), {
+    'X-API-Key': apiKey,
+    'User-Agent': config.userAgent
+  }, config.timeout);
+  validateSnapshot(response);
+  return trimSnapshot(Object.assign({}, response, { fetched_at: now.toISOString() }));
+}
+
+/**
+ * Events that have not ended yet at `now` (a timestamp in ms), soonest first
+ *
+ * The page filters events.json with the same function in src/events-list.js;
+ * keep the two in step.
+ */
+function upcomingEvents(snapshot, now = Date.now()) {
+  return snapshot.events
+    .filter(event => Date.parse(event.ended_at || event.started_at) >= now)
+    .sort((a, b) => Date.parse(a.started_at) - Date.parse(b.started_at));
+}
+
+module.exports = { eventsURL, fetchSnapshot, validateSnapshot, trimSnapshot, upcomingEvents };
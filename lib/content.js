@@ -0,0 +1,93 @@
+/**
+ * Data-driven page content
+ *
+ * Replaces the markers in index.html with content rendered from data/:
+ *
+ *   <!-- section: about -->   → templates/… rendered with data/….json
+ *   <!-- structured-data -->  → JSON-LD built from the same data
+ *
+ * The JSON-LD Event is dated by the next event in the connpass snapshot
+ * (`structuredData.schedule`, see lib/connpass.js) when there is one.
+ *
+ * Every template also sees the shared site data as {{site.*}}.
+ */
+
+const fs = require('fs');
+const { renderTemplate } = require('./templates');
+const { renderStructuredData } = require('./structured-data');
+const { validateSnapshot, upcomingEvents } = require('./connpass');
+
+const SECTION_MARKER = /^[ \t]*<!-- section: ([\w-]+) -->[ \t]*\n?/gm;
+const STRUCTURED_DATA_MARKER = /^([ \t]*)<!-- structured-data -->[ \t]*$/m;
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the site data and every section's data, keyed by section name
+ */
+function loadContent(config) {
+  const sections = {};
+  Object.keys(config.sections).forEach(name => {
+    sections[name] = readJSON(config.sections[name].data);
+  });
+  const content = { site: readJSON(config.site), sections };
+
+  const schedule = config.structuredData && config.structuredData.schedule;
+  if (schedule && fs.existsSync(schedule)) {
+    content.schedule = readJSON(schedule);
+    try {
+      validateSnapshot(content.schedule);
+    } catch (error) {
+      throw new Error(`${schedule}: ${error.message}`);
+    }
+  }
+  return content;
+}
+
+/**
+ * Render all markers in html
+ *
+ * Returns { html, sections } with the number of sections rendered.
+ * Unknown section names and sections without a marker are errors, so a
+ * typo cannot silently drop content from the page.
+ */
+function renderContent(html, config, content = loadContent(config)) {
+  const rendered = new Set();
+
+  let output = html.replace(SECTION_MARKER, (marker, name) => {
+    const section = config.sections[name];
+    if (!section) {
+      throw new Error(`Unknown section "${name}" in index.html`);
+    }
+    rendered.add(name);
+    const template = fs.readFileSync(section.template, 'utf8');
+    try {
+      return renderTemplate(template, Object.assign({ site: content.site }, content.sections[name]));
+    } catch (error) {
+      throw new Error(`${section.template}: ${error.message}`);
+    }
+  });
+
+  const missing = Object.keys(config.sections).filter(name => !rendered.has(name));
+  if (missing.length > 0) {
+    throw new Error(`No <!-- section: ${missing[0]} --> marker in index.html`);
+  }
+
+  if (config.structuredData) {
+    const events = content.sections[config.structuredData.events];
+    const nextEvent = content.schedule ? upcomingEvents(content.schedule)[0] : null;
+    output = output.replace(STRUCTURED_DATA_MARKER, (marker, indent) =>
+      renderStructuredData(content.site, events, indent, nextEvent)
+    );
+  }
+
+  return { html: output, sections: rendered.size };
+}
+
+module.exports = { renderContent, loadContent };
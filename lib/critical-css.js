@@ -0,0 +1,282 @@
+/**
+ * Critical CSS extraction
+ *
+ * Splits a stylesheet into the rules needed to lay out the above-the-fold
+ * header and hero (at every breakpoint) and the remainder, which can be
+ * loaded asynchronously. Media queries are kept around the rules they
+ * contain, and @keyframes go with the critical rules that use them. Both
+ * halves keep the source order of their rules. Parsed nodes keep their
+ * source offsets so both outputs can be source mapped back to the original
+ * stylesheet.
+ *
+ * Decoration (pseudo-elements, the Phoenix wing and particle layers) and
+ * interaction states (:hover, :focus…) are left to the remainder: they are
+ * not needed for the first paint, and keeping them out keeps the inlined
+ * CSS small.
+ */
+
+const { mappedString, pinnedString, generatedString, concatMapped } = require('./source-map');
+
+// Selectors that lay out the first viewport: header, hero copy and the Phoenix plate
+const CRITICAL_SELECTORS = [
+  '.wrap', 'header', '.brand', '.logo', '.title', '.nav',
+  '.hero', '.hero-inner', '.tag', '.lead',
+  '.plate', '.hero-picture', '.hero-image', '.hero-fallback'
+];
+
+// Parts of a selector that only matter after the first paint
+const DEFERRED_SELECTOR = /::|:(hover|focus|focus-visible|focus-within|active|visited)\b/;
+
+// At-rules whose body is a list of rules rather than declarations
+const GROUPING_AT_RULES = /^@(media|supports|layer|container)\b/i;
+
+/**
+ * Find the index of the brace that closes the block opened at `open`
+ */
+function findClosingBrace(css, open) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = open; i < css.length; i++) {
+    const char = css[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  throw new Error(`Unclosed block starting at offset ${open}`);
+}
+
+/**
+ * Offset of the first non-whitespace character of source[from, to)
+ */
+function trimmedStart(source, from, to) {
+  const text = source.slice(from, to);
+  return from + text.length - text.trimStart().length;
+}
+
+/**
+ * Parse CSS into a flat list of rules, at-rules and grouping blocks
+ *
+ * Every node records where its parts start in the input (`base` is the
+ * offset of `css` within the original stylesheet when parsing a block).
+ */
+function parseCSS(css, base = 0) {
+  // Blank out comments rather than removing them so offsets stay valid
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+  const nodes = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const open = source.indexOf('{', i);
+    const semicolon = source.indexOf(';', i);
+
+    if (open === -1) break;
+
+    // Statement at-rules such as @import or @charset
+    if (semicolon !== -1 && semicolon < open && source.slice(i, semicolon).trim().startsWith('@')) {
+      nodes.push({
+        type: 'statement',
+        text: `${source.slice(i, semicolon).trim()};`,
+        start: base + trimmedStart(source, i, semicolon)
+      });
+      i = semicolon + 1;
+      continue;
+    }
+
+    const prelude = source.slice(i, open).trim();
+    const close = findClosingBrace(source, open);
+    const body = source.slice(open + 1, close);
+    const offsets = {
+      start: base + trimmedStart(source, i, open),
+      open: base + open,
+      bodyStart: base + trimmedStart(source, open + 1, close),
+      close: base + close
+    };
+
+    if (GROUPING_AT_RULES.test(prelude)) {
+      nodes.push(Object.assign({ type: 'group', prelude, children: parseCSS(body, base + open + 1) }, offsets));
+    } else if (prelude.startsWith('@')) {
+      nodes.push(Object.assign({ type: 'at', prelude, body: body.trim() }, offsets));
+    } else {
+      nodes.push(Object.assign({ type: 'rule', selector: prelude, body: body.trim() }, offsets));
+    }
+
+    i = close + 1;
+  }
+
+  return nodes;
+}
+
+/**
+ * Serialize parsed nodes back into CSS as a mapped string, dropping empty
+ * groups; `source` names the stylesheet the nodes were parsed from
+ */
+function stringifyMappedCSS(nodes, source) {
+  const block = (node, head, inner) => concatMapped([
+    mappedString(head, source, node.start),
+    pinnedString(' {\n', source, node.open),
+    inner,
+    pinnedString('\n}', source, node.close)
+  ]);
+
+  const parts = [];
+  nodes.forEach(node => {
+    let part;
+    switch (node.type) {
+      case 'statement':
+        part = mappedString(node.text, source, node.start);
+        break;
+      case 'group': {
+        const inner = stringifyMappedCSS(node.children, source);
+        part = inner.text ? block(node, node.prelude, inner) : null;
+        break;
+      }
+      case 'at':
+        part = block(node, node.prelude, mappedString(node.body, source, node.bodyStart));
+        break;
+      default:
+        part = block(node, node.selector, mappedString(node.body, source, node.bodyStart));
+    }
+    if (part) {
+      if (parts.length > 0) parts.push(generatedString('\n'));
+      parts.push(part);
+    }
+  });
+
+  return concatMapped(parts);
+}
+
+/**
+ * Serialize parsed nodes back into CSS, dropping empty groups
+ */
+function stringifyCSS(nodes) {
+  return stringifyMappedCSS(nodes, null).text;
+}
+
+/**
+ * Whether any selector in a selector list lays out a critical element
+ *
+ * Attribute selectors and pseudo-classes are ignored when matching, so
+ * html[data-theme="…"] .pill does not count as an `html` rule.
+ */
+function isCriticalSelector(selectorList, criticalSelectors) {
+  const critical = new Set(criticalSelectors);
+  return selectorList.split(',').some(selector => {
+    if (DEFERRED_SELECTOR.test(selector)) return false;
+    const names = selector.replace(/\[[^\]]*\]|:[\w-]+(\([^)]*\))?/g, ' ');
+    return (names.match(/[.#]?-?[A-Za-z_][\w-]*/g) || []).some(part => critical.has(part));
+  });
+}
+
+/**
+ * Names of the animations used by a list of rules
+ */
+function animationNames(rules) {
+  const names = new Set();
+  rules.forEach(rule => {
+    const declarations = rule.body.match(/animation(?:-name)?\s*:[^;]+/g) || [];
+    declarations.forEach(declaration => {
+      (declaration.split(':').slice(1).join(':').match(/[A-Za-z_][\w-]*/g) || [])
+        .forEach(name => names.add(name));
+    });
+  });
+  return names;
+}
+
+/**
+ * Split a stylesheet into critical and non-critical CSS
+ *
+ * Returns { critical, remainder } as CSS strings; concatenated they contain
+ * every rule of the input exactly once. `mapped` holds the same outputs as
+ * mapped strings pointing into `options.source` (default "styles.css").
+ */
+function extractCriticalCSS(css, options = {}) {
+  const selectors = options.selectors || CRITICAL_SELECTORS;
+  const nodes = parseCSS(css);
+  const isCriticalRule = node => node.type === 'rule' && isCriticalSelector(node.selector, selectors);
+
+  // Keyframes used above the fold must be available before the async stylesheet
+  const criticalRules = [];
+  const collect = list => list.forEach(node => {
+    if (node.type === 'group') collect(node.children);
+    else if (isCriticalRule(node)) criticalRules.push(node);
+  });
+  collect(nodes);
+  const used = animationNames(criticalRules);
+  const isUsedKeyframes = node => node.type === 'at' &&
+    /^@(-webkit-)?keyframes\s/i.test(node.prelude) &&
+    used.has(node.prelude.split(/\s+/)[1]);
+
+  // Walk rules and groups in source order, splitting each group's children between both outputs
+  const split = list => {
+    const critical = [];
+    const remainder = [];
+
+    list.forEach(node => {
+      if (node.type === 'group') {
+        const children = split(node.children);
+        critical.push(Object.assign({}, node, { children: children.critical }));
+        remainder.push(Object.assign({}, node, { children: children.remainder }));
+      } else if (isCriticalRule(node) || isUsedKeyframes(node)) {
+        critical.push(node);
+      } else {
+        remainder.push(node);
+      }
+    });
+
+    return { critical, remainder };
+  };
+
+  const result = split(nodes);
+
+  const source = options.source || 'styles.css';
+  const critical = stringifyMappedCSS(result.critical, source);
+  const remainder = stringifyMappedCSS(result.remainder, source);
+
+  return {
+    critical: critical.text,
+    remainder: remainder.text,
+    mapped: { critical, remainder }
+  };
+}
+
+/**
+ * Replace a render-blocking stylesheet link with inlined critical CSS
+ *
+ * The full stylesheet is preloaded from <head> and applied by a plain
+ * <link rel="stylesheet"> at the end of <body>, which blocks nothing above
+ * it and needs neither an inline onload handler nor the page script.
+ */
+function inlineCriticalCSS(html, href, criticalCSS) {
+  const escaped = href.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const linkPattern = new RegExp(`([ \\t]*)<link rel="stylesheet" href="${escaped}">`);
+  const match = html.match(linkPattern);
+
+  if (!match) {
+    throw new Error(`<link rel="stylesheet" href="${href}"> not found in index.html`);
+  }
+  const bodyEnd = html.lastIndexOf('</body>');
+  if (bodyEnd === -1) {
+    throw new Error('</body> not found in index.html');
+  }
+
+  const indent = match[1];
+  const replacement = [
+    `${indent}<style id="critical-css">${criticalCSS}</style>`,
+    `${indent}<link rel="preload" href="${href}" as="style">`
+  ].join('\n');
+
+  const body = `${html.slice(0, bodyEnd)}  <link rel="stylesheet" href="${href}">\n${html.slice(bodyEnd)}`;
+  return body.replace(linkPattern, replacement);
+}
+
+module.exports = { CRITICAL_SELECTORS, parseCSS, stringifyCSS, stringifyMappedCSS, extractCriticalCSS, inlineCriticalCSS };
@@ -0,0 +1,56 @@
+/**
+ * Live-reload client
+ *
+ * Injected into pages served by lib/dev-server.js (never part of the
+ * build). Listens for rebuild events and either reloads the page or, for
+ * CSS-only changes, fetches the rebuilt page and swaps the inlined
+ * critical CSS and the hashed stylesheet links in place.
+ */
+
+(function () {
+  if (!window.EventSource) return;
+
+  // styles.1a2b3c4d5e.css → styles.css
+  const unhashed = href => href.split(/[?#]/)[0].replace(/\.[0-9a-f]{10}(\.[a-z0-9]+)$/, '$1');
+
+  function swapStylesheets(nextDocument) {
+    const nextCritical = nextDocument.getElementById('critical-css');
+    const critical = document.getElementById('critical-css');
+    if (nextCritical && critical) {
+      critical.textContent = nextCritical.textContent;
+    }
+
+    const nextLinks = new Map();
+    nextDocument.querySelectorAll('link[href$=".css"]').forEach(link => {
+      nextLinks.set(unhashed(link.getAttribute('href')), link.getAttribute('href'));
+    });
+
+    document.querySelectorAll('link[rel="stylesheet"][href$=".css"], link[rel="preload"][href$=".css"]').forEach(link => {
+      const href = nextLinks.get(unhashed(link.getAttribute('href')));
+      if (!href || href === link.getAttribute('href')) return;
+
+      // Keep the old sheet applied until the new one has loaded to avoid a flash
+      const replacement = link.cloneNode();
+      replacement.setAttribute('href', href);
+      replacement.addEventListener('load', () => link.remove());
+      link.after(replacement);
+    });
+  }
+
+  function hotSwapCSS() {
+    fetch(window.location.pathname, { cache: 'no-store' })
+      .then(response => response.text())
+      .then(html => {
+        swapStylesheets(new DOMParser().parseFromString(html, 'text/html'));
+        console.log('🔁 Stylesheets updated');
+      })
+      .catch(() => window.location.reload());
+  }
+
+  const events = new EventSource('/__dev/events');
+  events.addEventListener('reload', () => window.location.reload());
+  events.addEventListener('css', hotSwapCSS);
+  events.addEventListener('build-error', event => {
+    console.error('❌ Build failed:', JSON.parse(event.data));
+  });
+})();
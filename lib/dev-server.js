@@ -0,0 +1,225 @@
+/**
+ * Development server
+ *
+ * Serves the build output over HTTP and pushes live-reload events to open
+ * pages through Server-Sent Events. HTML responses get a small client
+ * script injected (lib/dev-client.js) which reloads the page, or only
+ * swaps the stylesheets when the change was CSS-only. Precompressed
+ * .br/.gz variants written by the build are served when accepted.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const CLIENT_PATH = '/__dev/client.js';
+const EVENTS_PATH = '/__dev/events';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Resolve a request URL to a file inside root, or null if it escapes root
+ */
+function resolveRequestPath(root, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  } catch (error) {
+    return null;
+  }
+
+  const file = path.join(root, pathname);
+  if (file !== root && !file.startsWith(root + path.sep)) return null;
+
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    return path.join(file, 'index.html');
+  }
+  return file;
+}
+
+/**
+ * Precompressed variant of file accepted by the client, if one exists
+ */
+function findPrecompressed(file, acceptEncoding) {
+  const accepted = (acceptEncoding || '').split(',').map(value => value.split(';')[0].trim());
+  const variants = [['br', '.br'], ['gzip', '.gz']];
+  const match = variants.find(([encoding, extension]) =>
+    accepted.includes(encoding) && fs.existsSync(file + extension)
+  );
+  return match ? { encoding: match[0], file: file + match[1] } : null;
+}
+
+/**
+ * Insert the live-reload client before </body>
+ */
+function injectClient(html) {
+  const tag = `<script src="${CLIENT_PATH}" defer></script>`;
+  return html.includes('</body>') ? html.replace('</body>', `${tag}\n</body>`) : html + tag;
+}
+
+/**
+ * Create an HTTP server for `root`
+ *
+ * Returns { server, notify(type), close() }. notify('css') asks pages to
+ * swap their stylesheets, notify('reload') to reload and notify('build-error',
+ * message) reports a failed rebuild in the browser console.
+ */
+function createDevServer(options = {}) {
+  const root = path.resolve(options.root || '.');
+  const liveReload = options.liveReload !== false;
+  const clients = new Set();
+
+  const server = http.createServer((request, response) => {
+    if (liveReload && request.url === EVENTS_PATH) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+      });
+      response.write('retry: 1000\n\n');
+      clients.add(response);
+      request.on('close', () => clients.delete(response));
+      return;
+    }
+
+    if (liveReload && request.url === CLIENT_PATH) {
+      response.writeHead(200, { 'Content-Type': CONTENT_TYPES['.js'], 'Cache-Control': 'no-store' });
+      response.end(fs.readFileSync(path.join(__dirname, 'dev-client.js')));
+      return;
+    }
+
+    const file = resolveRequestPath(root, request.url);
+    if (!file || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      response.writeHead(404, { 'Content-Type': CONTENT_TYPES['.txt'] });
+      response.end('Not found');
+      return;
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    const headers = {
+      'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+      'Cache-Control': 'no-store',
+      Vary: 'Accept-Encoding'
+    };
+    const injecting = liveReload && extension === '.html';
+    const precompressed = injecting ? null : findPrecompressed(file, request.headers['accept-encoding']);
+    let body;
+
+    if (precompressed) {
+      headers['Content-Encoding'] = precompressed.encoding;
+      body = fs.readFileSync(precompressed.file);
+    } else {
+      body = fs.readFileSync(file);
+      if (injecting) body = injectClient(body.toString('utf8'));
+    }
+
+    response.writeHead(200, headers);
+    response.end(request.method === 'HEAD' ? undefined : body);
+  });
+
+  const notify = (type, data = '') => {
+    clients.forEach(client => client.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`));
+  };
+
+  const close = () => {
+    clients.forEach(client => client.end());
+    clients.clear();
+    server.close();
+  };
+
+  return { server, notify, close };
+}
+
+/**
+ * Watch files and directories, calling onChange with the changed paths
+ *
+ * Files are watched through their parent directory so editors that save
+ * by renaming a temp file are still picked up. Directories are watched
+ * recursively (one watcher per subdirectory, which also works on Node
+ * versions without recursive fs.watch on Linux); `ignore` lists paths
+ * whose changes are never reported, e.g. build output inside a watched
+ * directory. Changes are debounced and delivered as a single batch.
+ */
+function watchPaths(paths, onChange, options = {}) {
+  const ignore = (options.ignore || []).map(entry => path.resolve(entry));
+  const delay = options.debounce || 100;
+  const watchers = new Map();
+  const files = new Set();
+  const pending = new Set();
+  let timer = null;
+
+  const isIgnored = target => ignore.some(entry => target === entry || target.startsWith(entry + path.sep));
+
+  const flush = () => {
+    timer = null;
+    const changed = Array.from(pending).map(target => path.relative(process.cwd(), target));
+    pending.clear();
+    onChange(changed);
+  };
+
+  const watchDirectory = (dir, recursive) => {
+    if (watchers.has(dir) || isIgnored(dir) || !fs.existsSync(dir)) return;
+
+    const watcher = fs.watch(dir, (eventType, filename) => {
+      if (!filename) return;
+      const target = path.join(dir, filename.toString());
+      if (isIgnored(target)) return;
+      if (!recursive && !files.has(target)) return;
+
+      // Pick up directories created after the watcher started
+      if (recursive && fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+        watchDirectory(target, true);
+      }
+
+      pending.add(target);
+      clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    });
+    watchers.set(dir, watcher);
+
+    if (recursive) {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => watchDirectory(path.join(dir, entry.name), true));
+    }
+  };
+
+  paths.map(entry => path.resolve(entry)).forEach(target => {
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+      watchDirectory(target, true);
+    } else {
+      files.add(target);
+    }
+  });
+
+  // Files share one watcher per parent directory
+  Array.from(files).map(file => path.dirname(file)).forEach(dir => {
+    if (!watchers.has(dir)) watchDirectory(dir, false);
+  });
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    }
+  };
+}
+
+module.exports = { createDevServer, watchPaths, injectClient, resolveRequestPath };
@@ -0,0 +1,233 @@
+/**
+ * Atom and RSS 2.0 feeds
+ *
+ * build.js publishes the community announcements (data/announcements.json)
+ * and the connpass events (see lib/connpass.js) as one list of entries in
+ * both formats, newest first. validateFeed() checks the structure readers
+ * rely on; the build runs it on its own output and deployment-test.js on
+ * the deployed feeds.
+ */
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Throw when the announcements file is missing something the feeds need
+ */
+function validateAnnouncements(announcements) {
+  if (!announcements || typeof announcements.title !== 'string' || !Array.isArray(announcements.entries)) {
+    throw new Error('expected a "title" and an "entries" array');
+  }
+  const ids = new Set();
+  announcements.entries.forEach((entry, index) => {
+    if (typeof entry.id !== 'string' || !/^[\w-]+$/.test(entry.id) || ids.has(entry.id)) {
+      throw new Error(`entries[${index}] needs a unique "id" made of letters, digits, "-" and "_"`);
+    }
+    ids.add(entry.id);
+    if (typeof entry.title !== 'string' || typeof entry.summary !== 'string') {
+      throw new Error(`entries[${index}] ("${entry.id}") needs a "title" and a "summary"`);
+    }
+    if (!isDate(entry.published) || (entry.updated !== undefined && !isDate(entry.updated))) {
+      throw new Error(`entries[${index}] ("${entry.id}") has an invalid "published" or "updated" date`);
+    }
+  });
+  return announcements;
+}
+
+// 2026年11月7日 13:30〜17:00 (the end date is repeated only when it differs)
+function eventDate(event) {
+  const day = new Intl.DateTimeFormat('ja-JP', { timeZone: 'Asia/Tokyo', dateStyle: 'long' });
+  const time = new Intl.DateTimeFormat('ja-JP', { timeZone: 'Asia/Tokyo', timeStyle: 'short' });
+  const start = new Date(event.started_at);
+  const text = `${day.format(start)} ${time.format(start)}`;
+  if (!event.ended_at) return text;
+
+  const end = new Date(event.ended_at);
+  const endDay = day.format(end) === day.format(start) ? '' : `${day.format(end)} `;
+  return `${text}〜${endDay}${time.format(end)}`;
+}
+
+function eventSummary(event) {
+  const date = eventDate(event);
+  const venue = [event.place, event.address].filter(Boolean).join(' ') || 'オンライン';
+  return `開催日時: ${date} (日本時間) / 会場: ${venue}`;
+}
+
+/**
+ * Announcements and connpass events as feed entries, newest first
+ *
+ * Entries are { id, title, url, published, updated, summary }. Events are
+ * dated by their last connpass update (or the snapshot time), so a
+ * rescheduled event comes back to the top.
+ */
+function feedEntries(site, announcements, snapshot = null) {
+  const domain = new URL(site.url).hostname;
+  const entries = announcements.entries.map(entry => ({
+    id: `tag:${domain},${entry.published.slice(0, 4)}:announcements/${entry.id}`,
+    title: entry.title,
+    url: entry.url || site.url,
+    published: entry.published,
+    updated: entry.updated || entry.published,
+    summary: entry.summary
+  }));
+
+  if (snapshot) {
+    snapshot.events.forEach(event => {
+      const updated = event.updated_at || snapshot.fetched_at || event.started_at;
+      entries.push({
+        id: event.url,
+        title: event.title,
+        url: event.url,
+        published: updated,
+        updated,
+        summary: eventSummary(event)
+      });
+    });
+  }
+
+  return entries.sort((a, b) => Date.parse(b.updated) - Date.parse(a.updated));
+}
+
+/**
+ * Atom 1.0 document; feed is { title, subtitle, url, self, author, language, entries }
+ */
+function renderAtom(feed) {
+  const updated = feed.entries.length > 0 ? feed.entries[0].updated : feed.updated;
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<feed xmlns="${ATOM_NS}" xml:lang="${escapeXML(feed.language)}">`,
+    `  <id>${escapeXML(feed.url)}</id>`,
+    `  <title>${escapeXML(feed.title)}</title>`,
+    `  <subtitle>${escapeXML(feed.subtitle)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXML(feed.url)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXML(feed.self)}"/>`,
+    `  <updated>${new Date(updated).toISOString()}</updated>`,
+    `  <author><name>${escapeXML(feed.author)}</name></author>`
+  ];
+  feed.entries.forEach(entry => {
+    lines.push(
+      '  <entry>',
+      `    <id>${escapeXML(entry.id)}</id>`,
+      `    <title>${escapeXML(entry.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXML(entry.url)}"/>`,
+      `    <published>${new Date(entry.published).toISOString()}</published>`,
+      `    <updated>${new Date(entry.updated).toISOString()}</updated>`,
+      `    <summary>${escapeXML(entry.summary)}</summary>`,
+      '  </entry>'
+    );
+  });
+  lines.push('</feed>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * RSS 2.0 document for the same feed (dates in RFC 822 format)
+ */
+function renderRSS(feed) {
+  const updated = feed.entries.length > 0 ? feed.entries[0].updated : feed.updated;
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<rss version="2.0" xmlns:atom="${ATOM_NS}">`,
+    '  <channel>',
+    `    <title>${escapeXML(feed.title)}</title>`,
+    `    <link>${escapeXML(feed.url)}</link>`,
+    `    <description>${escapeXML(feed.subtitle)}</description>`,
+    `    <language>${escapeXML(feed.language)}</language>`,
+    `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXML(feed.self)}"/>`
+  ];
+  feed.entries.forEach(entry => {
+    lines.push(
+      '    <item>',
+      `      <title>${escapeXML(entry.title)}</title>`,
+      `      <link>${escapeXML(entry.url)}</link>`,
+      `      <guid isPermaLink="${/^https?:/.test(entry.id)}">${escapeXML(entry.id)}</guid>`,
+      `      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>`,
+      `      <description>${escapeXML(entry.summary)}</description>`,
+      '    </item>'
+    );
+  });
+  lines.push('  </channel>', '</rss>');
+  return `${lines.join('\n')}\n`;
+}
+
+// Text of every <name>…</name> in xml (no nesting of the same element in these feeds)
+function elements(xml, name) {
+  const pattern = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'g');
+  const found = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    found.push(match[1]);
+  }
+  return found;
+}
+
+/**
+ * Problems with an Atom ('atom') or RSS ('rss') document (empty when valid)
+ *
+ * Checks the root element and the elements the formats require, not the
+ * full specifications.
+ */
+function validateFeed(xml, format) {
+  const problems = [];
+  const requireElements = (scope, names, label) => {
+    names.filter(name => elements(scope, name).length === 0)
+      .forEach(name => problems.push(`${label} has no <${name}>`));
+  };
+
+  if (!/^<\?xml version="1\.0" encoding="utf-8"\?>/.test(xml)) {
+    problems.push('missing the XML declaration');
+  }
+  if (/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[\da-f]+);)/i.test(xml)) {
+    problems.push('contains an unescaped "&"');
+  }
+
+  if (format === 'atom') {
+    if (!new RegExp(`<feed xmlns="${ATOM_NS}"`).test(xml)) {
+      problems.push(`root element is not <feed xmlns="${ATOM_NS}">`);
+    }
+    const feed = xml.replace(/<entry>[\s\S]*?<\/entry>/g, '');
+    requireElements(feed, ['id', 'title', 'updated'], 'feed');
+    if (!/<link rel="self"/.test(feed)) problems.push('feed has no <link rel="self">');
+    elements(xml, 'entry').forEach((entry, index) => {
+      requireElements(entry, ['id', 'title', 'updated'], `entry ${index + 1}`);
+      if (!/<link [^>]*href="/.test(entry)) problems.push(`entry ${index + 1} has no <link href>`);
+      elements(entry, 'updated').filter(date => Number.isNaN(Date.parse(date)))
+        .forEach(date => problems.push(`entry ${index + 1} has an invalid <updated>: ${date}`));
+    });
+  } else if (format === 'rss') {
+    if (!/<rss version="2\.0"/.test(xml)) {
+      problems.push('root element is not <rss version="2.0">');
+    }
+    const channel = elements(xml, 'channel')[0];
+    if (channel === undefined) {
+      problems.push('rss has no <channel>');
+      return problems;
+    }
+    requireElements(channel.replace(/<item>[\s\S]*?<\/item>/g, ''), ['title', 'link', 'description'], 'channel');
+    elements(channel, 'item').forEach((item, index) => {
+      if (elements(item, 'title').length === 0 && elements(item, 'description').length === 0) {
+        problems.push(`item ${index + 1} has neither <title> nor <description>`);
+      }
+      requireElements(item, ['guid', 'pubDate'], `item ${index + 1}`);
+    });
+  } else {
+    problems.push(`unknown feed format "${format}"`);
+  }
+
+  return problems;
+}
+
+module.exports = { feedEntries, renderAtom, renderRSS, validateFeed, validateAnnouncements, escapeXML };
@@ -0,0 +1,200 @@
+/**
+ * Localized pages
+ *
+ * Each locale has a catalog in locales/<code>.json with its metadata,
+ * the screen-reader messages used by the page script (src/messages.js)
+ * and, for every locale but the default one, `translations`: a map from
+ * the Japanese source text to the translated text. Translations are exact matches against data/
+ * values (before rendering) and against text nodes and attribute values
+ * of index.html (after rendering), so a changed source sentence shows up
+ * as untranslated instead of being half replaced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Japanese characters (kana, CJK ideographs, full-width punctuation)
+const JAPANESE = /[　-ヿ㐀-䶿一-鿿＀-￯]/;
+// Markup that is never translated: comments and the bodies of scripts and
+// styles (their start tags are markup like any other, e.g. <script src>)
+const OPAQUE = /<!--[\s\S]*?-->|(<(script|style)\b[^>]*>)[\s\S]*?<\/\2>/gi;
+// Attributes that hold URLs relative to the page
+const URL_ATTRIBUTES = /(\s(?:src|href|srcset|imagesrcset|poster)=")([^"]*)"/g;
+
+/**
+ * Load locale catalogs in the configured order (default locale first)
+ */
+function loadLocales(config) {
+  return config.locales.map(code => {
+    const file = path.join(config.dir, `${code}.json`);
+    try {
+      return Object.assign({ code, translations: {} }, JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Deep copy of data with every string replaced by its translation (if any)
+ */
+function translateData(data, translations) {
+  if (typeof data === 'string') {
+    return Object.prototype.hasOwnProperty.call(translations, data) ? translations[data] : data;
+  }
+  if (Array.isArray(data)) {
+    return data.map(item => translateData(item, translations));
+  }
+  if (data && typeof data === 'object') {
+    const translated = {};
+    Object.keys(data).forEach(key => {
+      translated[key] = translateData(data[key], translations);
+    });
+    return translated;
+  }
+  return data;
+}
+
+function escapeHTML(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Apply `transform(part)` to every part of html outside comments and
+ * script and style bodies
+ */
+function mapMarkup(html, transform) {
+  let output = '';
+  let last = 0;
+  let match;
+
+  OPAQUE.lastIndex = 0;
+  while ((match = OPAQUE.exec(html)) !== null) {
+    const [element, startTag = ''] = match;
+    output += transform(html.slice(last, match.index) + startTag) + element.slice(startTag.length);
+    last = match.index + element.length;
+  }
+  return output + transform(html.slice(last));
+}
+
+/**
+ * Translate text nodes and attribute values that exactly match a catalog entry
+ */
+function translateHTML(html, translations) {
+  const lookup = text => (Object.prototype.hasOwnProperty.call(translations, text) ? translations[text] : null);
+
+  return mapMarkup(html, markup => markup
+    .replace(/(\s[\w:-]+=")([^"]*)"/g, (attribute, name, value) => {
+      const translated = lookup(value.trim());
+      return translated === null ? attribute : `${name}${escapeHTML(translated)}"`;
+    })
+    .replace(/>([^<]+)</g, (text, content) => {
+      const translated = lookup(content.trim());
+      if (translated === null) return text;
+      const [, leading, trailing] = content.match(/^(\s*)[\s\S]*?(\s*)$/);
+      return `>${leading}${escapeHTML(translated)}${trailing}<`;
+    }));
+}
+
+/**
+ * Japanese strings left in text nodes, attribute values and JSON-LD
+ */
+function findUntranslated(html, allowed = []) {
+  const found = new Set();
+  const check = value => {
+    const text = value.trim();
+    if (JAPANESE.test(text) && !allowed.includes(text)) found.add(text);
+  };
+
+  mapMarkup(html, markup => {
+    markup.replace(/\s[\w:-]+="([^"]*)"/g, (attribute, value) => check(value));
+    markup.replace(/>([^<]+)</g, (text, content) => check(content));
+    return markup;
+  });
+
+  const structuredData = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/g;
+  let match;
+  while ((match = structuredData.exec(html)) !== null) {
+    JSON.stringify(JSON.parse(match[1]), (key, value) => {
+      if (typeof value === 'string') check(value);
+      return value;
+    });
+  }
+
+  return Array.from(found);
+}
+
+/**
+ * Prefix relative URLs so a page can be served from a subdirectory
+ */
+function relocateURLs(html, prefix) {
+  if (!prefix) return html;
+
+  const relocate = url => {
+    if (!url || /^(#|\/|[a-z][\w+.-]*:|\?)/i.test(url)) return url;
+    return prefix + url;
+  };
+
+  return mapMarkup(html, markup => markup.replace(URL_ATTRIBUTES, (attribute, name, value) => {
+    // srcset-style lists: "url 480w, url 840w"
+    const relocated = /srcset="$/.test(name)
+      ? value.split(',').map(candidate => candidate.trim().replace(/^\S+/, relocate)).join(', ')
+      : relocate(value);
+    return `${name}${relocated}"`;
+  }));
+}
+
+/**
+ * Relative path from one locale's page to another's
+ */
+function localePath(from, to) {
+  const depth = from.path ? from.path.split('/').filter(Boolean).length : 0;
+  return ('../'.repeat(depth) + to.path) || './';
+}
+
+/**
+ * Head and body changes that make html the page for `locale`
+ *
+ * Sets <html lang>, canonical/og:url, og:locale with alternates and
+ * hreflang links, and fills the <!-- language-switcher --> and
+ * <!-- i18n-messages --> markers. `siteUrl` is the absolute root URL.
+ */
+function localizePage(html, locale, locales, siteUrl) {
+  const defaultLocale = locales[0];
+  const pageUrl = siteUrl + locale.path;
+  const others = locales.filter(candidate => candidate !== locale);
+
+  const alternates = locales
+    .map(candidate => `<link rel="alternate" hreflang="${candidate.lang}" href="${siteUrl + candidate.path}" />`)
+    .concat(`<link rel="alternate" hreflang="x-default" href="${siteUrl + defaultLocale.path}" />`);
+
+  const switcher = others.map(candidate =>
+    `<a class="btn" href="${localePath(locale, candidate)}" hreflang="${candidate.lang}" lang="${candidate.lang}"` +
+    ` aria-label="${escapeHTML(candidate.switchLabel)}">${escapeHTML(candidate.name)}</a>`
+  );
+
+  // "<" is escaped so no message can close the script element
+  const messages = JSON.stringify(locale.messages).replace(/</g, '\\u003c');
+
+  return html
+    .replace(/<html lang="[^"]*"/, `<html lang="${locale.lang}"`)
+    .replace(/([ \t]*)<link rel="canonical" href="[^"]*" \/>/, (link, indent) =>
+      [`${indent}<link rel="canonical" href="${pageUrl}" />`].concat(alternates.map(alternate => indent + alternate)).join('\n'))
+    .replace(/<meta property="og:url" content="[^"]*" \/>/, `<meta property="og:url" content="${pageUrl}" />`)
+    .replace(/([ \t]*)<meta property="og:locale" content="[^"]*" \/>/, (meta, indent) =>
+      [`${indent}<meta property="og:locale" content="${locale.ogLocale}" />`]
+        .concat(others.map(other => `${indent}<meta property="og:locale:alternate" content="${other.ogLocale}" />`))
+        .join('\n'))
+    .replace(/([ \t]*)<!-- language-switcher -->/, (marker, indent) => switcher.map(link => indent + link).join('\n'))
+    .replace(/([ \t]*)<!-- i18n-messages -->/, (marker, indent) =>
+      `${indent}<script type="application/json" id="i18n-messages">${messages}</script>`);
+}
+
+module.exports = {
+  loadLocales,
+  translateData,
+  translateHTML,
+  findUntranslated,
+  relocateURLs,
+  localizePage
+};
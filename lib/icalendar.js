@@ -0,0 +1,121 @@
+/**
+ * iCalendar (RFC 5545) files for the connpass events
+ *
+ * build.js writes one subscribable feed with every event in the snapshot
+ * and one file per event for the "add to calendar" links on the event
+ * cards. Times are written as Asia/Tokyo wall-clock times with a
+ * VTIMEZONE, so calendars show them in Japan time and convert them for
+ * members abroad.
+ */
+
+const TIME_ZONE = 'Asia/Tokyo';
+// Japan has had no daylight saving time since 1951, so one fixed offset covers every event
+const JST_OFFSET = 9 * 60 * 60 * 1000;
+
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIME_ZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0900',
+  'TZOFFSETTO:+0900',
+  'TZNAME:JST',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// 20261107T133000 in Japan time
+function localTime(value) {
+  const date = new Date(Date.parse(value) + JST_OFFSET);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+}
+
+// 20261019T030000Z
+function utcTime(value) {
+  return new Date(value).toISOString().replace(/[-:]|\.\d{3}/g, '');
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a content line into 75-octet pieces (continuations start with a space)
+ */
+function foldLine(line) {
+  const pieces = [];
+  let piece = '';
+  let size = 0;
+  for (const character of line) {
+    const length = Buffer.byteLength(character, 'utf8');
+    const limit = pieces.length === 0 ? 75 : 74;
+    if (size + length > limit) {
+      pieces.push(piece);
+      piece = '';
+      size = 0;
+    }
+    piece += character;
+    size += length;
+  }
+  pieces.push(piece);
+  return pieces.join('\r\n ');
+}
+
+function location(event) {
+  return [event.place, event.address].filter(Boolean).join(', ');
+}
+
+function eventLines(event, options) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:connpass-${event.id}@${options.domain}`,
+    `DTSTAMP:${utcTime(options.stamp)}`,
+    `DTSTART;TZID=${TIME_ZONE}:${localTime(event.started_at)}`
+  ];
+  if (event.ended_at) {
+    lines.push(`DTEND;TZID=${TIME_ZONE}:${localTime(event.ended_at)}`);
+  }
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (location(event)) {
+    lines.push(`LOCATION:${escapeText(location(event))}`);
+  }
+  lines.push(`DESCRIPTION:${escapeText(event.url)}`, `URL:${event.url}`, 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * A VCALENDAR with the given connpass events
+ *
+ * options: { name, domain, stamp } where name titles the calendar, domain
+ * makes the UIDs unique and stamp (a date) is the DTSTAMP of every event.
+ * Feeds (options.refresh set) also tell calendar apps how often to poll.
+ */
+function renderCalendar(events, options) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${options.domain}//events//JA`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(options.name)}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`
+  ];
+  if (options.refresh) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${options.refresh}`, `X-PUBLISHED-TTL:${options.refresh}`);
+  }
+  lines.push(...VTIMEZONE);
+  events.forEach(event => lines.push(...eventLines(event, options)));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { renderCalendar, foldLine, escapeText, localTime };
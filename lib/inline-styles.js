@@ -0,0 +1,155 @@
+/**
+ * Inline style extraction
+ *
+ * Lifts style="..." attributes out of the page body into deduplicated,
+ * content-named CSS classes so the markup carries no inline styles and
+ * the sections can be restyled from the stylesheet. Rules for elements
+ * inside the hero section are returned separately so they can be inlined
+ * with the critical CSS (the hero fallback relies on display:none).
+ *
+ * An inline style beats every stylesheet rule that is not !important, so
+ * the generated selectors carry two ID-level :not(#_) (matching every
+ * element) to keep winning over rules such as #events a[href*="connpass"].
+ * Styles set from JavaScript (element.style) still override them, and
+ * !important rules still win, as they did over the attributes.
+ */
+
+const crypto = require('crypto');
+const { pinnedString, generatedString, concatMapped } = require('./source-map');
+
+// Section whose generated rules must be available before the async stylesheet
+const CRITICAL_SECTION = '<section class="hero"';
+const CLASS_PREFIX = 'st-';
+// Specificity (2,1,0): above any selector in styles.css or index.html, which use one ID at most
+const SPECIFICITY_BOOST = ':not(#_):not(#_)';
+
+/**
+ * Normalize a style attribute into "prop:value;prop:value"
+ */
+function normalizeDeclarations(style) {
+  return style
+    .split(';')
+    .map(declaration => declaration.trim())
+    .filter(Boolean)
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      const value = declaration.slice(colon + 1).trim().replace(/\s+/g, ' ');
+      return `${property}:${value}`;
+    })
+    .join(';');
+}
+
+/**
+ * Stable class name derived from the declarations it applies
+ */
+function classNameFor(declarations) {
+  return CLASS_PREFIX + crypto.createHash('sha256').update(declarations).digest('hex').slice(0, 6);
+}
+
+/**
+ * Replace style attributes in <body> with generated classes
+ *
+ * Returns { html, critical, css, attributes, classes } where `critical`
+ * holds the rules used inside the hero section and `css` the rest.
+ * `mapped` holds both as mapped strings pointing at the first style
+ * attribute of each rule in `options.source` (default "index.html").
+ */
+function extractInlineStyles(html, options = {}) {
+  const bodyStart = html.search(/<body[\s>]/);
+  if (bodyStart === -1) {
+    const empty = generatedString('');
+    return { html, critical: '', css: '', attributes: 0, classes: 0, mapped: { critical: empty, css: empty } };
+  }
+
+  const heroStart = html.indexOf(CRITICAL_SECTION, bodyStart);
+  const heroEnd = heroStart === -1 ? -1 : html.indexOf('</section>', heroStart);
+  const rules = new Map();
+  let attributes = 0;
+
+  const body = html.slice(bodyStart).replace(/<([a-zA-Z][\w-]*)((?:\s[^>]*?)?)\sstyle="([^"]*)"([^>]*)>/g,
+    (tag, name, before, style, after, offset) => {
+      const declarations = normalizeDeclarations(style);
+      if (!declarations) return `<${name}${before}${after}>`;
+
+      const className = classNameFor(declarations);
+      const position = bodyStart + offset;
+      const attributeOffset = position + tag.indexOf('style="', 1 + name.length + before.length);
+      const rule = rules.get(className) || { declarations, critical: false, offset: attributeOffset };
+      rule.critical = rule.critical || (position > heroStart && position < heroEnd);
+      rules.set(className, rule);
+      attributes++;
+
+      let attrs = `${before}${after}`;
+      if (/\sclass="/.test(attrs)) {
+        attrs = attrs.replace(/\sclass="([^"]*)"/, (match, classes) => ` class="${classes} ${className}"`);
+      } else {
+        attrs = ` class="${className}"${attrs}`;
+      }
+      return `<${name}${attrs}>`;
+    });
+
+  const source = options.source || 'index.html';
+  const toCSS = critical => concatMapped(Array.from(rules.entries())
+    .filter(([, rule]) => rule.critical === critical)
+    .map(([className, rule], i) => concatMapped([
+      generatedString(i > 0 ? '\n' : ''),
+      pinnedString(`.${className}${SPECIFICITY_BOOST}{${rule.declarations}}`, source, rule.offset)
+    ])));
+  const critical = toCSS(true);
+  const css = toCSS(false);
+
+  return {
+    html: html.slice(0, bodyStart) + body,
+    critical: critical.text,
+    css: css.text,
+    attributes,
+    classes: rules.size,
+    mapped: { critical, css }
+  };
+}
+
+/**
+ * List inline event handler attributes (onclick, onload...) left in the markup
+ */
+function findInlineEventHandlers(html) {
+  const markup = html.replace(/<script[\s\S]*?<\/script>/gi, '');
+  const handlers = [];
+  const pattern = /<([a-zA-Z][\w-]*)\b[^>]*?\s(on[a-z]+)\s*=/g;
+  let match;
+
+  while ((match = pattern.exec(markup)) !== null) {
+    handlers.push(`<${match[1]} ${match[2]}>`);
+  }
+
+  return handlers;
+}
+
+/**
+ * List the bodies of inline scripts the browser would execute (data blocks
+ * such as JSON-LD and <script src> are skipped)
+ */
+function findInlineScripts(html) {
+  const scripts = [];
+  const pattern = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const type = (match[1].match(/\stype\s*=\s*["']?([^"'\s>]*)/i) || [])[1];
+    const executable = !type || /^(module|(text|application)\/(java|ecma)script)$/i.test(type);
+    if (executable && !/\ssrc\s*=/i.test(match[1])) {
+      scripts.push(match[2]);
+    }
+  }
+
+  return scripts;
+}
+
+/**
+ * CSP source expression allowing one inline script by hash
+ */
+function scriptHash(script) {
+  return `'sha256-${crypto.createHash('sha256').update(script, 'utf8').digest('base64')}'`;
+}
+
+module.exports = { extractInlineStyles, findInlineEventHandlers, findInlineScripts, scriptHash, normalizeDeclarations };
@@ -0,0 +1,361 @@
+/**
+ * Token-aware JavaScript minifier
+ *
+ * Splits source into tokens (strings, template literals, regex literals,
+ * comments, punctuators...) so that whitespace and comments can be removed
+ * without touching literal contents. Line breaks are only dropped where
+ * automatic semicolon insertion cannot depend on them.
+ */
+
+const vm = require('vm');
+
+// Longest punctuators first so greedy matching picks e.g. ">>>=" over ">"
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+  '&', '|', '^', '!', '~', '?', ':', '=', '.', '@'
+];
+
+// Keywords after which a "/" starts a regular expression, not a division
+const REGEX_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Keywords that end a statement when followed by a line break
+const RESTRICTED_KEYWORDS = new Set(['return', 'throw', 'break', 'continue', 'yield', 'async']);
+
+// Tokens that cannot end a statement, so a following line break is insignificant
+const CONTINUES_AFTER = new Set([
+  '{', '(', '[', ',', ';', ':', '?', '.', '?.', '=>', '...',
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=',
+  '==', '===', '!=', '!==', '<', '>', '<=', '>=', '+', '-', '*', '/', '%', '**',
+  '<<', '>>', '>>>', '&', '|', '^', '!', '~', '&&', '||', '??',
+  'else', 'typeof', 'new', 'delete', 'void', 'in', 'instanceof', 'case', 'do', 'extends', 'var', 'const'
+]);
+
+// Tokens that always continue the previous expression, so a preceding line break is insignificant
+const CONTINUES_BEFORE = new Set([
+  ')', ']', '}', ',', ';', ':', '?', '.', '?.', '(', '[', '=>',
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=',
+  '==', '===', '!=', '!==', '<', '>', '<=', '>=', '+', '-', '*', '%', '**',
+  '<<', '>>', '>>>', '&', '|', '^', '&&', '||', '??', 'in', 'instanceof'
+]);
+
+const NUMBER_PATTERN = /^(?:0[xXoObB][\da-fA-F_]+n?|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?n?)/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$#\\\u0080-\uffff][\w$\\\u0080-\uffff]*/;
+const WORD_CHAR = /[\w$\\\u0080-\uffff]/;
+
+/**
+ * Scan a quoted string literal starting at `start`
+ */
+function scanString(source, start) {
+  const quote = source[start];
+  let i = start + 1;
+
+  while (i < source.length && source[i] !== quote) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === '\n') throw new SyntaxError(`Unterminated string literal at offset ${start}`);
+    i++;
+  }
+
+  if (i >= source.length) {
+    throw new SyntaxError(`Unterminated string literal at offset ${start}`);
+  }
+
+  return i + 1;
+}
+
+/**
+ * Scan a template literal chunk (from "`" or a closing "}" up to "`" or "${")
+ */
+function scanTemplate(source, start) {
+  let i = start + 1;
+
+  while (i < source.length) {
+    if (source[i] === '\\') {
+      i += 2;
+    } else if (source[i] === '`') {
+      return { end: i + 1, opensExpression: false };
+    } else if (source[i] === '$' && source[i + 1] === '{') {
+      return { end: i + 2, opensExpression: true };
+    } else {
+      i++;
+    }
+  }
+
+  throw new SyntaxError(`Unterminated template literal at offset ${start}`);
+}
+
+/**
+ * Scan a regular expression literal including its flags
+ */
+function scanRegex(source, start) {
+  let i = start + 1;
+  let inClass = false;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\\') {
+      i += 2;
+      continue;
+    }
+    if (char === '\n') break;
+    if (char === '[') inClass = true;
+    else if (char === ']') inClass = false;
+    else if (char === '/' && !inClass) {
+      i++;
+      while (i < source.length && WORD_CHAR.test(source[i])) i++;
+      return i;
+    }
+    i++;
+  }
+
+  throw new SyntaxError(`Unterminated regular expression at offset ${start}`);
+}
+
+/**
+ * Decide whether a "/" at this point starts a regex, based on the previous significant token
+ */
+function regexAllowed(previous) {
+  if (!previous) return true;
+  if (previous.type === 'template') return previous.opensExpression;
+  if (previous.type === 'punctuator') return ![')', ']', '}'].includes(previous.value);
+  if (previous.type === 'identifier') return REGEX_KEYWORDS.has(previous.value);
+  return false;
+}
+
+/**
+ * Split JavaScript source into tokens
+ *
+ * Each token is { type, value, start, end }. Whitespace and comments are
+ * returned too (types "whitespace" and "comment") so callers can keep
+ * track of line breaks and original positions.
+ */
+function tokenizeJS(source) {
+  const tokens = [];
+  const braceStack = [];
+  let previous = null;
+  let i = 0;
+
+  const push = (type, end, extra) => {
+    const token = Object.assign({ type, value: source.slice(i, end), start: i, end }, extra);
+    tokens.push(token);
+    if (type !== 'whitespace' && type !== 'comment') previous = token;
+    i = end;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const rest = source.slice(i, i + 4);
+
+    if (/\s/.test(char)) {
+      let end = i + 1;
+      while (end < source.length && /\s/.test(source[end])) end++;
+      push('whitespace', end);
+    } else if (rest.startsWith('//')) {
+      const newline = source.indexOf('\n', i);
+      push('comment', newline === -1 ? source.length : newline);
+    } else if (rest.startsWith('/*')) {
+      const close = source.indexOf('*/', i + 2);
+      if (close === -1) throw new SyntaxError(`Unterminated comment at offset ${i}`);
+      push('comment', close + 2);
+    } else if (char === '"' || char === "'") {
+      push('string', scanString(source, i));
+    } else if (char === '`' || (char === '}' && braceStack[braceStack.length - 1] === 'template')) {
+      if (char === '}') braceStack.pop();
+      const chunk = scanTemplate(source, i);
+      if (chunk.opensExpression) braceStack.push('template');
+      push('template', chunk.end, { opensExpression: chunk.opensExpression });
+    } else if (char === '/' && regexAllowed(previous)) {
+      push('regex', scanRegex(source, i));
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      push('number', i + source.slice(i).match(NUMBER_PATTERN)[0].length);
+    } else if (IDENTIFIER_PATTERN.test(source.slice(i, i + 2))) {
+      push('identifier', i + source.slice(i).match(IDENTIFIER_PATTERN)[0].length);
+    } else {
+      let punctuator = PUNCTUATORS.find(candidate => source.startsWith(candidate, i));
+      if (!punctuator) {
+        throw new SyntaxError(`Unexpected character "${char}" at offset ${i}`);
+      }
+      // "a?.5:b" is a conditional, not optional chaining
+      if (punctuator === '?.' && /[0-9]/.test(source[i + 2] || '')) punctuator = '?';
+
+      if (punctuator === '{') braceStack.push('brace');
+      if (punctuator === '}') braceStack.pop();
+      push('punctuator', i + punctuator.length);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Whether a line break between two tokens can change how the code parses
+ */
+function needsLineBreak(previous, next) {
+  if (CONTINUES_AFTER.has(previous.value)) return false;
+  if (RESTRICTED_KEYWORDS.has(previous.value) && previous.type === 'identifier') return true;
+  if (previous.value === '++' || previous.value === '--') return true;
+  if (next.type === 'template' && next.value[0] === '`') return false;
+  return !(next.type === 'punctuator' && CONTINUES_BEFORE.has(next.value));
+}
+
+/**
+ * Whether two tokens written back to back would merge into something else
+ */
+function needsSpace(previous, next) {
+  const last = previous.value[previous.value.length - 1];
+  const first = next.value[0];
+
+  if (WORD_CHAR.test(last) && (WORD_CHAR.test(first) || first === '#')) return true;
+  if ((last === '+' || last === '-') && first === last) return true;
+  if (last === '/' && (first === '/' || first === '*')) return true;
+  if (last === '<' && first === '!') return true;
+  if (previous.type === 'number' && first === '.') return true;
+  return false;
+}
+
+/**
+ * Minify JavaScript source
+ *
+ * Removes comments and insignificant whitespace while leaving every
+ * literal untouched. Pass `{ tokens: true }` to get the output chunks
+ * alongside their source tokens (used for source maps).
+ */
+function minifyJS(source, options = {}) {
+  const chunks = [];
+  let previous = null;
+  let sawLineBreak = false;
+
+  tokenizeJS(source).forEach(token => {
+    if (token.type === 'whitespace' || token.type === 'comment') {
+      if (token.value.includes('\n')) sawLineBreak = true;
+      return;
+    }
+
+    if (previous) {
+      if (sawLineBreak && needsLineBreak(previous, token)) {
+        chunks.push({ value: '\n', token: null });
+      } else if (needsSpace(previous, token)) {
+        chunks.push({ value: ' ', token: null });
+      }
+    }
+
+    chunks.push({ value: token.value, token });
+    previous = token;
+    sawLineBreak = false;
+  });
+
+  const code = chunks.map(chunk => chunk.value).join('');
+  return options.tokens ? { code, chunks } : code;
+}
+
+/**
+ * Round-trip check: the minified output must parse, contain exactly the
+ * same significant tokens as the source, and declare the same globals and
+ * event listeners when evaluated in a sandbox
+ */
+function verifyMinifiedJS(source, minified) {
+  const errors = [];
+
+  try {
+    new vm.Script(minified, { filename: 'minified.js' });
+  } catch (error) {
+    return { valid: false, errors: [`Minified output does not parse: ${error.message}`] };
+  }
+
+  const significant = code => tokenizeJS(code)
+    .filter(token => token.type !== 'whitespace' && token.type !== 'comment')
+    .map(token => token.value);
+  const sourceTokens = significant(source);
+  const minifiedTokens = significant(minified);
+  const mismatch = sourceTokens.findIndex((value, index) => value !== minifiedTokens[index]);
+
+  if (mismatch !== -1 || sourceTokens.length !== minifiedTokens.length) {
+    const index = mismatch === -1 ? Math.min(sourceTokens.length, minifiedTokens.length) : mismatch;
+    errors.push(`Token stream differs at token ${index}: ${JSON.stringify(sourceTokens[index])} vs ${JSON.stringify(minifiedTokens[index])}`);
+  }
+
+  const sourceBehaviour = JSON.stringify(describeScript(source));
+  const minifiedBehaviour = JSON.stringify(describeScript(minified));
+  if (sourceBehaviour !== minifiedBehaviour) {
+    errors.push('Minified output declares or registers different globals and listeners than the source');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Names declared at the top level of a script (functions, classes, variables)
+ */
+function topLevelDeclarations(code) {
+  const names = new Set();
+  let depth = 0;
+  let previous = null;
+
+  tokenizeJS(code).forEach(token => {
+    if (token.type === 'whitespace' || token.type === 'comment') return;
+
+    if (token.type === 'punctuator' && ['{', '(', '['].includes(token.value)) depth++;
+    else if (token.type === 'punctuator' && ['}', ')', ']'].includes(token.value)) depth--;
+    else if (token.type === 'template') depth += token.opensExpression ? 1 : 0;
+
+    if (depth === 0 && token.type === 'identifier' && previous &&
+        ['function', 'class', 'const', 'let', 'var'].includes(previous.value)) {
+      names.add(token.value);
+    }
+    previous = token;
+  });
+
+  return Array.from(names).sort();
+}
+
+/**
+ * Evaluate a browser script in an inert sandbox and describe what it defines:
+ * the type of every top-level declaration and the events it subscribes to
+ */
+function describeScript(code) {
+  const noop = () => {};
+  const listeners = [];
+  const listen = target => (type) => listeners.push(`${target}:${type}`);
+  const element = () => ({ addEventListener: noop, setAttribute: noop, appendChild: noop, style: {}, dataset: {} });
+  const sandbox = {
+    console: { info: noop, warn: noop, error: noop, log: noop },
+    setTimeout: noop,
+    clearTimeout: noop,
+    document: {
+      addEventListener: listen('document'),
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      getElementById: () => null,
+      createElement: element,
+      documentElement: element(),
+      body: element(),
+      head: element()
+    },
+    navigator: {},
+    location: { hostname: 'example.com' },
+    matchMedia: () => ({ matches: false, addEventListener: noop }),
+    addEventListener: listen('window')
+  };
+  sandbox.window = sandbox;
+
+  const names = topLevelDeclarations(code);
+  const probe = names.map(name => `typeof ${name}`).join(', ');
+
+  try {
+    const types = new vm.Script(`${code}\n;[${probe}]`).runInContext(vm.createContext(sandbox), { timeout: 1000 });
+    return {
+      declarations: names.map((name, index) => `${name}:${types[index]}`),
+      listeners
+    };
+  } catch (error) {
+    // Scripts that throw while loading must at least throw the same error
+    return { error: error.message, listeners };
+  }
+}
+
+module.exports = { tokenizeJS, minifyJS, verifyMinifiedJS };
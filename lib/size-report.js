@@ -0,0 +1,174 @@
+/**
+ * Precompression and size budgets
+ *
+ * Writes gzip and brotli variants of the text assets in the build output,
+ * measures what each asset costs over the wire and checks those
+ * transferred sizes against per-asset and total budgets. Text assets are
+ * counted at their gzip size, the encoding every host can serve (GitHub
+ * Pages compresses on the fly with gzip); the brotli size is reported too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Text formats worth compressing; images are already compressed
+const COMPRESSIBLE = ['.html', '.css', '.js', '.json', '.xml', '.svg', '.txt', '.ics', '.ico'];
+// Generated alongside real assets, never requested by the page itself
+const SKIPPED = ['.gz', '.br', '.map'];
+
+const ASSET_TYPES = {
+  '.html': 'html',
+  '.css': 'css',
+  '.js': 'js',
+  '.png': 'image',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.webp': 'image',
+  '.avif': 'image',
+  '.svg': 'image',
+  '.ico': 'image'
+};
+
+/**
+ * All files under dir, as paths relative to it (with forward slashes)
+ */
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).flatMap(entry => {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(dir, relativePath) : [relativePath];
+  });
+}
+
+/**
+ * Path without the content hash added by build.js (styles.1a2b3c4d5e.css → styles.css)
+ */
+function logicalPath(relativePath) {
+  return relativePath.replace(/\.[0-9a-f]{10}(\.[^./]+)$/, '$1');
+}
+
+/**
+ * Glob → RegExp: "*" matches within a path segment, "**\/" any number of directories
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split(/(\*\*\/|\*\*|\*)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+function matchesAny(relativePath, patterns) {
+  return patterns.some(pattern => globToRegExp(pattern).test(relativePath));
+}
+
+/**
+ * Write .gz and .br variants next to every compressible file in dir
+ *
+ * Returns the number of files compressed.
+ */
+function compressAssets(dir) {
+  const files = listFiles(dir).filter(file => COMPRESSIBLE.includes(path.extname(file).toLowerCase()));
+
+  files.forEach(file => {
+    const outputPath = path.join(dir, file);
+    const content = fs.readFileSync(outputPath);
+    fs.writeFileSync(`${outputPath}.gz`, zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION }));
+    fs.writeFileSync(`${outputPath}.br`, zlib.brotliCompressSync(content, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+      }
+    }));
+  });
+
+  return files.length;
+}
+
+/**
+ * Raw, gzip, brotli and transferred sizes of every asset in dir
+ *
+ * gzip and brotli are the sizes of the variants written by compressAssets
+ * (null without one); the transferred size is the gzip size when that is
+ * smaller than the file.
+ */
+function measureAssets(dir) {
+  const variantSize = file => (fs.existsSync(file) ? fs.statSync(file).size : null);
+
+  return listFiles(dir)
+    .filter(file => !SKIPPED.includes(path.extname(file)))
+    .sort()
+    .map(file => {
+      const outputPath = path.join(dir, file);
+      const size = fs.statSync(outputPath).size;
+      const gzip = variantSize(`${outputPath}.gz`);
+
+      return {
+        path: file,
+        logicalPath: logicalPath(file),
+        type: ASSET_TYPES[path.extname(file).toLowerCase()] || 'other',
+        size,
+        gzip,
+        brotli: variantSize(`${outputPath}.br`),
+        transferred: gzip === null ? size : Math.min(size, gzip)
+      };
+    });
+}
+
+/**
+ * Check measured assets against budgets
+ *
+ * config.assets maps glob patterns (matched against unhashed paths, first
+ * match wins) to a transferred-size budget in bytes; config.total has
+ * { budget, include } where include lists the patterns counted towards the
+ * total. Returns a report object with the per-asset budgets filled in,
+ * the total and a list of violations.
+ */
+function checkBudgets(assets, config) {
+  const patterns = Object.keys(config.assets || {});
+  const violations = [];
+
+  const measured = assets.map(asset => {
+    const pattern = patterns.find(candidate => globToRegExp(candidate).test(asset.logicalPath));
+    const budget = pattern ? config.assets[pattern] : null;
+    const overBudget = budget !== null && asset.transferred > budget;
+
+    if (overBudget) {
+      violations.push(`${asset.path}: ${asset.transferred} bytes transferred exceeds the "${pattern}" budget of ${budget} bytes`);
+    }
+    return Object.assign({}, asset, { budget, overBudget });
+  });
+
+  const total = config.total || { budget: null, include: [] };
+  const counted = measured.filter(asset => matchesAny(asset.logicalPath, total.include));
+  const transferred = counted.reduce((sum, asset) => sum + asset.transferred, 0);
+
+  if (total.budget !== null && transferred > total.budget) {
+    violations.push(`Total: ${transferred} bytes transferred exceeds the budget of ${total.budget} bytes`);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    passed: violations.length === 0,
+    assets: measured,
+    total: {
+      include: total.include,
+      files: counted.map(asset => asset.path),
+      size: counted.reduce((sum, asset) => sum + asset.size, 0),
+      transferred,
+      budget: total.budget
+    },
+    violations
+  };
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+module.exports = { compressAssets, measureAssets, checkBudgets, formatBytes, globToRegExp, logicalPath };
@@ -0,0 +1,210 @@
+/**
+ * Source map support
+ *
+ * Build steps that need source maps work on "mapped strings": the text
+ * plus, for every character, the { source, offset } it came from (null
+ * for generated characters). Helpers below keep those positions in step
+ * with the text through concatenation and regex replacement, and
+ * createSourceMap turns the result into a standard v3 source map.
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Text copied from `source`, starting at `offset`
+ */
+function mappedString(text, source, offset = 0) {
+  const positions = new Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    positions[i] = { source, offset: offset + i };
+  }
+  return { text, positions };
+}
+
+/**
+ * Text generated from a single source location (every character maps to it)
+ */
+function pinnedString(text, source, offset) {
+  const position = { source, offset };
+  return { text, positions: new Array(text.length).fill(position) };
+}
+
+/**
+ * Text with no original location
+ */
+function generatedString(text) {
+  return { text, positions: new Array(text.length).fill(null) };
+}
+
+function concatMapped(parts) {
+  return {
+    text: parts.map(part => part.text).join(''),
+    positions: [].concat(...parts.map(part => part.positions))
+  };
+}
+
+/**
+ * String.prototype.replace for mapped strings
+ *
+ * `replacement` is a string that may reference groups ($1...). Replacement
+ * characters take their positions from where the same text appears in
+ * the match (the kept group, the kept brace...) or from the match start.
+ */
+function replaceMapped(input, pattern, replacement) {
+  const parts = [];
+  let last = 0;
+
+  input.text.replace(pattern, (...args) => {
+    const match = args[0];
+    const index = args.find((arg, i) => i > 0 && typeof arg === 'number');
+    const value = replacement.replace(/\$(\d)/g, (reference, group) => args[group] || '');
+    const at = Math.max(match.indexOf(value), 0);
+
+    parts.push({ text: input.text.slice(last, index), positions: input.positions.slice(last, index) });
+    parts.push({
+      text: value,
+      positions: Array.from(value, (char, i) => input.positions[index + Math.min(at + i, match.length - 1)])
+    });
+    last = index + match.length;
+    return match;
+  });
+
+  parts.push({ text: input.text.slice(last), positions: input.positions.slice(last) });
+  return concatMapped(parts);
+}
+
+function trimMapped(input) {
+  const start = input.text.length - input.text.trimStart().length;
+  const end = input.text.trimEnd().length;
+  return { text: input.text.slice(start, end), positions: input.positions.slice(start, end) };
+}
+
+/**
+ * Base64 VLQ encoding of a signed integer
+ */
+function encodeVLQ(value) {
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+  let encoded = '';
+
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+/**
+ * Offsets at which each line of `content` starts
+ */
+function lineStarts(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+/**
+ * Zero-based { line, column } of an offset
+ */
+function locate(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (starts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return { line: low, column: offset - starts[low] };
+}
+
+/**
+ * Build a v3 source map for a mapped string
+ *
+ * `sources` maps each source name used in the positions to its content,
+ * which is embedded (sourcesContent) so the map works without deploying
+ * the original files. A segment is emitted wherever the output stops
+ * following the source character by character.
+ */
+function createSourceMap(output, options) {
+  const names = Object.keys(options.sources);
+  const starts = names.map(name => lineStarts(options.sources[name]));
+  const lines = [];
+  let segments = [];
+  let generatedColumn = 0;
+  const previous = { column: 0, source: 0, line: 0, originalColumn: 0 };
+  let last = null;
+
+  for (let i = 0; i < output.text.length; i++) {
+    const position = output.positions[i];
+
+    if (output.text[i] !== '\n') {
+      const continues = last && position && last.source === position.source &&
+        (position.offset === last.offset || position.offset === last.offset + 1);
+
+      if (position && !continues) {
+        const sourceIndex = names.indexOf(position.source);
+        if (sourceIndex === -1) {
+          throw new Error(`Source map position refers to unknown source "${position.source}"`);
+        }
+        const original = locate(starts[sourceIndex], position.offset);
+        segments.push(
+          encodeVLQ(generatedColumn - previous.column) +
+          encodeVLQ(sourceIndex - previous.source) +
+          encodeVLQ(original.line - previous.line) +
+          encodeVLQ(original.column - previous.originalColumn)
+        );
+        previous.column = generatedColumn;
+        previous.source = sourceIndex;
+        previous.line = original.line;
+        previous.originalColumn = original.column;
+      } else if (!position && last) {
+        // Generated text: end the previous mapping
+        segments.push(encodeVLQ(generatedColumn - previous.column));
+        previous.column = generatedColumn;
+      }
+
+      last = position;
+      generatedColumn++;
+      continue;
+    }
+
+    lines.push(segments.join(','));
+    segments = [];
+    generatedColumn = 0;
+    previous.column = 0;
+    last = null;
+  }
+  lines.push(segments.join(','));
+
+  return {
+    version: 3,
+    file: options.file,
+    sources: names,
+    sourcesContent: names.map(name => options.sources[name]),
+    names: [],
+    mappings: lines.join(';')
+  };
+}
+
+/**
+ * Comment linking a generated file to its source map
+ */
+function sourceMappingURLComment(url, type) {
+  return type === 'css' ? `/*# sourceMappingURL=${url} */` : `//# sourceMappingURL=${url}`;
+}
+
+module.exports = {
+  mappedString,
+  pinnedString,
+  generatedString,
+  concatMapped,
+  replaceMapped,
+  trimMapped,
+  encodeVLQ,
+  createSourceMap,
+  sourceMappingURLComment
+};
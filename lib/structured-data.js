@@ -0,0 +1,139 @@
+/**
+ * Structured data (JSON-LD)
+ *
+ * Builds the Organization, WebSite and Event blocks from the same data
+ * files that render the page sections, so the two can never disagree.
+ * `site.pageUrl` (the localized page, if any) is used as the WebSite URL.
+ * The Event is located at the connpass page, or at the venue when the next
+ * event takes place in person.
+ */
+
+function organization(site) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    name: site.name,
+    alternateName: site.alternateName,
+    url: site.url,
+    logo: site.logo,
+    image: site.image,
+    description: site.description,
+    foundingDate: site.foundingDate,
+    sameAs: [site.links.github, site.links.connpass],
+    contactPoint: {
+      '@type': 'ContactPoint',
+      contactType: 'community support',
+      url: site.links.github
+    },
+    areaServed: {
+      '@type': 'Country',
+      name: site.areaServed
+    },
+    knowsAbout: site.topics,
+    memberOf: {
+      '@type': 'Organization',
+      name: site.memberOf
+    }
+  };
+}
+
+function website(site) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'WebSite',
+    name: site.title,
+    url: site.pageUrl || site.url,
+    description: site.tagline,
+    inLanguage: site.language,
+    isPartOf: {
+      '@type': 'Organization',
+      name: site.name
+    },
+    about: {
+      '@type': 'Thing',
+      name: site.subject.name,
+      description: site.subject.description
+    },
+    audience: {
+      '@type': 'Audience',
+      audienceType: site.audience
+    }
+  };
+}
+
+// connpass has no online flag; "オンライン" as the place means an online event
+const ONLINE_PLACE = /オンライン|online/i;
+
+// Venue of an in-person connpass event (null for online events)
+function place(connpassEvent) {
+  const { place: name, address } = connpassEvent;
+  if (!address && (!name || ONLINE_PLACE.test(name))) return null;
+
+  return {
+    '@type': 'Place',
+    name: name || address,
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: address || undefined,
+      addressCountry: 'JP'
+    }
+  };
+}
+
+function event(site, events, nextEvent = null) {
+  const block = {
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: events.event.name,
+    description: events.event.description,
+    organizer: {
+      '@type': 'Organization',
+      name: site.name,
+      url: site.url
+    },
+    location: {
+      '@type': 'VirtualLocation',
+      url: site.links.connpass
+    },
+    eventAttendanceMode: `https://schema.org/${events.event.attendanceMode}`,
+    eventStatus: `https://schema.org/${events.event.status}`,
+    inLanguage: site.language,
+    about: events.event.topics
+  };
+  if (nextEvent) {
+    Object.assign(block, {
+      startDate: nextEvent.started_at,
+      endDate: nextEvent.ended_at || undefined,
+      url: nextEvent.url
+    });
+    const venue = place(nextEvent);
+    if (venue) {
+      Object.assign(block, {
+        location: venue,
+        eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode'
+      });
+    }
+  }
+  return block;
+}
+
+/**
+ * <script type="application/ld+json"> blocks, indented by `indent`
+ *
+ * nextEvent is a connpass event (see lib/connpass.js) that dates the Event.
+ */
+function renderStructuredData(site, events, indent = '  ', nextEvent = null) {
+  return [organization(site), website(site), event(site, events, nextEvent)]
+    .map(block => {
+      // "<" is escaped so no value can close the script element
+      const json = JSON.stringify(block, null, 2).replace(/</g, '\\u003c');
+      return [
+        `${indent}<script type="application/ld+json">`,
+        json.split('\n').map(line => indent + line).join('\n'),
+        `${indent}</script>`
+      ].join('\n');
+    })
+    .join('\n\n');
+}
+
+module.exports = { renderStructuredData, organization, website, event };
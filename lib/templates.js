@@ -0,0 +1,125 @@
+/**
+ * Minimal HTML templates
+ *
+ * Mustache-like syntax used to render the content sections from the
+ * files in data/:
+ *
+ *   {{path.to.value}}          HTML-escaped value; `code` becomes <span class="mono">
+ *   {{#each list}}…{{/each}}   repeat for every item ({{.}} is the item itself)
+ *   {{#if value}}…{{/if}}      render only when value is truthy (non-empty for arrays)
+ *
+ * Names are looked up on the current item first, then on the enclosing
+ * scopes, so a loop body can still reach e.g. {{site.links.github}}.
+ * Block tags standing on a line of their own leave no blank line behind.
+ */
+
+const TAG_PATTERN = /\{\{\s*([#/]?)(\w*)\s*([\w.]*)\s*\}\}/g;
+const STANDALONE_BLOCK_TAG = /^[ \t]*(\{\{\s*[#/][^}]*\}\})[ \t]*\r?\n/gm;
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text and turn `backticks` into monospace spans
+ */
+function formatText(value) {
+  return escapeHTML(value).replace(/`([^`]+)`/g, '<span class="mono">$1</span>');
+}
+
+/**
+ * Parse a template into a tree of text, value and block nodes
+ */
+function parseTemplate(source) {
+  const template = source.replace(STANDALONE_BLOCK_TAG, '$1');
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const [tag, sigil, keyword, name] = match;
+    const current = stack[stack.length - 1];
+    current.children.push({ type: 'text', text: template.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (sigil === '#') {
+      if (keyword !== 'each' && keyword !== 'if') {
+        throw new Error(`Unknown template block "${tag}"`);
+      }
+      const block = { type: keyword, name, children: [] };
+      current.children.push(block);
+      stack.push(block);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current.type !== keyword) {
+        throw new Error(`Unexpected "${tag}"`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'value', name: `${keyword}${name}` || '.' });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} block`);
+  }
+  root.children.push({ type: 'text', text: template.slice(last) });
+  return root;
+}
+
+/**
+ * Resolve a dotted name against a list of scopes (innermost last)
+ */
+function lookup(scopes, name) {
+  if (name === '.') return scopes[scopes.length - 1];
+
+  const [head, ...rest] = name.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope !== null && typeof scope === 'object' && head in scope) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? value : value[key]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.text;
+      case 'value': {
+        const value = lookup(scopes, node.name);
+        if (value === undefined || value === null) {
+          throw new Error(`Missing template value "${node.name}"`);
+        }
+        return formatText(value);
+      }
+      case 'each': {
+        const list = lookup(scopes, node.name) || [];
+        if (!Array.isArray(list)) throw new Error(`"${node.name}" is not a list`);
+        return list.map(item => renderNodes(node.children, scopes.concat([item]))).join('');
+      }
+      default: {
+        const value = lookup(scopes, node.name);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        return truthy ? renderNodes(node.children, scopes) : '';
+      }
+    }
+  }).join('');
+}
+
+/**
+ * Render a template string with data
+ */
+function renderTemplate(template, data) {
+  return renderNodes(parseTemplate(template).children, [data]);
+}
+
+module.exports = { renderTemplate, parseTemplate, escapeHTML, formatText };
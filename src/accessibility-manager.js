@@ -0,0 +1,320 @@
+/**
+ * Keyboard navigation and focus management
+ */
+
+import { getMessage } from './messages.js';
+import { announceToScreenReader } from './announcer.js';
+import { PAGE_EVENTS, dispatchPageEvent } from './page-events.js';
+import { Dialog } from './dialog.js';
+import { focusSection } from './section-navigation.js';
+
+// Single-key shortcuts: `prefix` followed by a section key jumps to that section, `help` opens the list.
+// Keys are ignored while typing (form fields, IME composition) and whenever Ctrl, Alt or Meta is held, so
+// browser and screen-reader commands keep working; screen readers in browse mode keep their own letter keys.
+// Visitors can turn the shortcuts off from the help dialog (WCAG 2.1.4). Pass `shortcuts` to the
+// AccessibilityManager constructor to override any of these.
+export const KEYBOARD_SHORTCUTS_CONFIG = {
+  storageKey: 'toukon-elixir:shortcuts',
+  prefix: 'g',
+  help: '?',
+  sequenceTimeout: 1500, // ms to press the section key after the prefix
+  sections: [
+    { key: 'a', target: '#about', label: 'sectionAbout' },
+    { key: 'e', target: '#events', label: 'sectionEvents' },
+    { key: 'c', target: '#code', label: 'sectionCode' },
+    { key: 't', target: '#main-content', label: 'sectionTop' }
+  ]
+};
+
+export class AccessibilityManager {
+  constructor(options = {}) {
+    this.focusableElements = [];
+    this.currentFocusIndex = -1;
+    this.shortcuts = Object.assign({}, KEYBOARD_SHORTCUTS_CONFIG, options.shortcuts);
+    this.shortcutsEnabled = true;
+    this.shortcutPrefixTimeout = null; // set while waiting for the key after the prefix
+    this.dialogs = new Map(); // <dialog> id → Dialog
+    this.openDialogs = []; // stack, topmost last
+  }
+  
+  init() {
+    this.setupKeyboardNavigation();
+    this.setupFocusManagement();
+    this.setupSkipLinks();
+    this.setupDialogs();
+    this.setupShortcutHelp();
+  }
+  
+  setupKeyboardNavigation() {
+    this.shortcutsEnabled = this.readShortcutPreference();
+    
+    // Handle keyboard navigation
+    document.addEventListener('keydown', (e) => {
+      if (this.handleShortcut(e)) return;
+      
+      // Handle Escape key to close any open modals or return focus
+      if (e.key === 'Escape') {
+        this.handleEscapeKey();
+      }
+      
+      // Handle Tab navigation enhancement
+      if (e.key === 'Tab') {
+        this.handleTabNavigation(e);
+      }
+      
+      // Handle Enter and Space for custom interactive elements
+      if (e.key === 'Enter' || e.key === ' ') {
+        this.handleActivation(e);
+      }
+    });
+  }
+  
+  setupFocusManagement() {
+    // Track focusable elements
+    this.updateFocusableElements();
+    
+    // Re-scan focusable elements when DOM changes
+    const observer = new MutationObserver(() => {
+      this.updateFocusableElements();
+    });
+    
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['tabindex', 'disabled', 'aria-hidden']
+    });
+  }
+  
+  updateFocusableElements() {
+    const selector = 'a[href], button, input, textarea, select, details, [tabindex]:not([tabindex="-1"])';
+    this.focusableElements = Array.from(document.querySelectorAll(selector))
+      .filter(el => !el.disabled && !el.getAttribute('aria-hidden'));
+  }
+  
+  setupSkipLinks() {
+    const skipLink = document.querySelector('.skip-link');
+    if (skipLink) {
+      skipLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        const target = document.querySelector(skipLink.getAttribute('href'));
+        if (target) {
+          target.focus();
+          target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+          announceToScreenReader(getMessage('skippedToMain'));
+        }
+      });
+    }
+  }
+  
+  isEditable(element) {
+    return Boolean(element && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName)));
+  }
+  
+  // Returns true when the key press was a shortcut
+  handleShortcut(e) {
+    const { prefix, help, sequenceTimeout, sections } = this.shortcuts;
+    const waitingForSection = this.shortcutPrefixTimeout !== null;
+    this.cancelShortcutSequence();
+    
+    if (!this.shortcutsEnabled || this.activeDialog() || e.defaultPrevented || e.isComposing ||
+        e.ctrlKey || e.altKey || e.metaKey || this.isEditable(e.target)) {
+      return false;
+    }
+    
+    if (waitingForSection) {
+      const section = sections.find(candidate => candidate.key === e.key);
+      if (!section) return false;
+      e.preventDefault();
+      this.jumpToSection(section);
+      return true;
+    }
+    
+    if (e.key === help) {
+      e.preventDefault();
+      this.openDialog('shortcuts-dialog');
+      return true;
+    }
+    
+    if (e.key === prefix) {
+      this.shortcutPrefixTimeout = setTimeout(() => {
+        this.shortcutPrefixTimeout = null;
+      }, sequenceTimeout);
+      return true;
+    }
+    
+    return false;
+  }
+  
+  cancelShortcutSequence() {
+    clearTimeout(this.shortcutPrefixTimeout);
+    this.shortcutPrefixTimeout = null;
+  }
+  
+  jumpToSection(section) {
+    const target = document.querySelector(section.target);
+    const name = getMessage(section.label);
+    
+    // Sections can be left out of the page (see the simple view overrides in index.html)
+    if (!target || target.getClientRects().length === 0) {
+      announceToScreenReader(getMessage('shortcutUnavailable', { section: name }), { key: 'shortcut' });
+      return;
+    }
+    
+    focusSection(target);
+  }
+  
+  setupDialogs() {
+    document.querySelectorAll('dialog[id]').forEach(element => {
+      this.dialogs.set(element.id, new Dialog(element, { onClose: dialog => this.handleDialogClosed(dialog) }));
+    });
+    
+    // Buttons that open a dialog stay hidden until it can be opened
+    document.querySelectorAll('[data-dialog-open]').forEach(opener => {
+      if (this.dialogs.has(opener.dataset.dialogOpen)) opener.hidden = false;
+    });
+    
+    document.addEventListener('click', (e) => {
+      const opener = e.target.closest('[data-dialog-open]');
+      const closer = e.target.closest('[data-dialog-close]');
+      if (opener && this.dialogs.has(opener.dataset.dialogOpen)) {
+        e.preventDefault();
+        this.openDialog(opener.dataset.dialogOpen, opener);
+      } else if (closer) {
+        const host = closer.closest('dialog');
+        const dialog = host && this.dialogs.get(host.id);
+        if (dialog) dialog.close();
+      }
+    });
+  }
+  
+  activeDialog() {
+    return this.openDialogs[this.openDialogs.length - 1] || null;
+  }
+  
+  // Returns false when there is no such dialog
+  openDialog(id, opener = document.activeElement) {
+    const dialog = this.dialogs.get(id);
+    if (!dialog) return false;
+    if (dialog.isOpen) return true;
+    
+    this.cancelShortcutSequence();
+    dialog.open(opener);
+    this.openDialogs.push(dialog);
+    dispatchPageEvent(PAGE_EVENTS.dialogOpen, { id });
+    return true;
+  }
+  
+  // Closes the topmost dialog; returns false when none is open
+  closeDialog() {
+    const dialog = this.activeDialog();
+    if (!dialog) return false;
+    
+    dialog.close();
+    return true;
+  }
+  
+  handleDialogClosed(dialog) {
+    this.openDialogs = this.openDialogs.filter(candidate => candidate !== dialog);
+    dispatchPageEvent(PAGE_EVENTS.dialogClose, { id: dialog.element.id });
+  }
+  
+  setupShortcutHelp() {
+    if (!this.dialogs.has('shortcuts-dialog')) return;
+    
+    this.renderShortcutList();
+    
+    const toggle = document.getElementById('shortcuts-enabled');
+    if (toggle) {
+      toggle.checked = this.shortcutsEnabled;
+      toggle.addEventListener('change', () => this.setShortcutsEnabled(toggle.checked));
+    }
+  }
+  
+  renderShortcutList() {
+    const list = document.getElementById('shortcut-list');
+    if (!list) return;
+    
+    const keys = (...names) => names.map(name => {
+      const kbd = document.createElement('kbd');
+      kbd.textContent = name;
+      return kbd;
+    });
+    const rows = this.shortcuts.sections
+      .map(section => [keys(this.shortcuts.prefix, section.key), getMessage('shortcutJump', { section: getMessage(section.label) })])
+      .concat([[keys(this.shortcuts.help), getMessage('shortcutHelp')]]);
+    
+    list.textContent = '';
+    rows.forEach(([kbds, description]) => {
+      const term = document.createElement('dt');
+      kbds.forEach((kbd, index) => {
+        if (index > 0) term.append(' ');
+        term.append(kbd);
+      });
+      const definition = document.createElement('dd');
+      definition.textContent = description;
+      list.append(term, definition);
+    });
+  }
+  
+  readShortcutPreference() {
+    try {
+      return localStorage.getItem(this.shortcuts.storageKey) !== 'off';
+    } catch (error) {
+      // Storage can be unavailable (privacy mode, sandboxed iframes)
+      return true;
+    }
+  }
+  
+  setShortcutsEnabled(enabled) {
+    this.shortcutsEnabled = enabled;
+    this.cancelShortcutSequence();
+    try {
+      localStorage.setItem(this.shortcuts.storageKey, enabled ? 'on' : 'off');
+    } catch (error) {
+      // The choice still applies to this page view
+    }
+    announceToScreenReader(getMessage(enabled ? 'shortcutsEnabled' : 'shortcutsDisabled'), { key: 'shortcuts' });
+  }
+  
+  handleEscapeKey() {
+    // Close the topmost dialog; otherwise return focus to a logical place
+    if (this.closeDialog()) return;
+    
+    const activeElement = document.activeElement;
+    if (activeElement && activeElement !== document.body) {
+      activeElement.blur();
+      announceToScreenReader(getMessage('focusReset'));
+    }
+  }
+  
+  handleTabNavigation(e) {
+    // Open dialogs keep Tab inside themselves
+    if (this.activeDialog()) return;
+    
+    // Enhanced tab navigation with announcements
+    const isShiftTab = e.shiftKey;
+    const currentIndex = this.focusableElements.indexOf(document.activeElement);
+    
+    if (currentIndex === 0 && isShiftTab) {
+      // First element, going backwards
+      announceToScreenReader(getMessage('firstElement'));
+    } else if (currentIndex === this.focusableElements.length - 1 && !isShiftTab) {
+      // Last element, going forwards
+      announceToScreenReader(getMessage('lastElement'));
+    }
+  }
+  
+  handleActivation(e) {
+    const target = e.target;
+    
+    // Handle custom interactive elements that might need Enter/Space support
+    if (target.classList.contains('pill') || target.classList.contains('btn')) {
+      // These are already proper links, but ensure they work with Space
+      if (e.key === ' ') {
+        e.preventDefault();
+        target.click();
+      }
+    }
+  }
+}
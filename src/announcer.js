@@ -0,0 +1,117 @@
+/**
+ * Screen reader announcements
+ */
+
+// Two persistent live regions (polite and assertive):
+//   priority  'low' | 'normal' | 'high' — 'low' and 'normal' wait in a queue (normal first); 'high' skips
+//             the queue and the throttle and is spoken at once in the assertive region, interrupting
+//   key       a newer message with the same key replaces a queued one (e.g. bursts of breakpoint changes)
+// Identical messages already queued or spoken within `dedupeWindow` ms are dropped, and at most one
+// queued message is spoken every `throttle` ms so consecutive announcements do not cut each other off.
+export const ANNOUNCEMENT_PRIORITIES = { low: 0, normal: 1, high: 2 };
+
+export class LiveAnnouncer {
+  constructor(options = {}) {
+    this.throttle = options.throttle !== undefined ? options.throttle : 700;
+    this.dedupeWindow = options.dedupeWindow !== undefined ? options.dedupeWindow : 3000;
+    this.queue = [];
+    this.regions = null;
+    this.timer = null;
+    this.lastSpokenAt = 0;
+    this.recent = new Map();
+    this.sequence = 0;
+  }
+
+  init() {
+    if (this.regions) return;
+
+    this.regions = {
+      polite: this.findOrCreateRegion('live-polite', 'polite'),
+      assertive: this.findOrCreateRegion('live-assertive', 'assertive')
+    };
+  }
+
+  findOrCreateRegion(id, politeness) {
+    let region = document.getElementById(id);
+    if (!region) {
+      region = document.createElement('div');
+      region.id = id;
+      region.className = 'sr-only';
+      region.setAttribute('aria-live', politeness);
+      region.setAttribute('aria-atomic', 'true');
+      document.body.appendChild(region);
+    }
+    return region;
+  }
+
+  announce(message, options = {}) {
+    if (!message) return;
+
+    const priority = ANNOUNCEMENT_PRIORITIES[options.priority] !== undefined
+      ? ANNOUNCEMENT_PRIORITIES[options.priority]
+      : ANNOUNCEMENT_PRIORITIES.normal;
+    const now = Date.now();
+
+    if (options.key) {
+      this.queue = this.queue.filter(item => item.key !== options.key);
+    }
+    if (this.queue.some(item => item.message === message)) return;
+    if (now - (this.recent.get(message) || -Infinity) < this.dedupeWindow) return;
+
+    const item = { message, priority, key: options.key, sequence: this.sequence++ };
+    if (priority >= ANNOUNCEMENT_PRIORITIES.high) {
+      this.speak(item);
+      return;
+    }
+
+    this.queue.push(item);
+    // Highest priority first, then first come first served
+    this.queue.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.timer || this.queue.length === 0) return;
+
+    const wait = Math.max(0, this.lastSpokenAt + this.throttle - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, wait);
+  }
+
+  flush() {
+    const item = this.queue.shift();
+    if (!item) return;
+
+    this.speak(item);
+    this.schedule();
+  }
+
+  speak(item) {
+    this.init();
+    const politeness = item.priority >= ANNOUNCEMENT_PRIORITIES.high ? 'assertive' : 'polite';
+    const region = this.regions[politeness];
+    const now = Date.now();
+
+    // Clear first so screen readers notice the change even for a repeated message
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = item.message;
+    }, 50);
+
+    this.lastSpokenAt = now;
+    this.recent.set(item.message, now);
+    this.recent.forEach((spokenAt, message) => {
+      if (now - spokenAt >= this.dedupeWindow) this.recent.delete(message);
+    });
+  }
+}
+
+export const liveAnnouncer = new LiveAnnouncer();
+
+// Accessibility utility: Announce messages to screen readers
+// options: { priority: 'low' | 'normal' | 'high', key } (see LiveAnnouncer)
+export function announceToScreenReader(message, options = {}) {
+  liveAnnouncer.announce(message, options);
+}
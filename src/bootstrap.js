@@ -0,0 +1,99 @@
+/**
+ * Page bootstrap
+ *
+ * Creates the page controllers once the DOM is ready (see main.js) and
+ * exposes them as window.ToukonElixir. Returns the public API.
+ */
+
+import { isDevelopment } from './environment.js';
+import { getMessage } from './messages.js';
+import { liveAnnouncer, announceToScreenReader } from './announcer.js';
+import { ImageFallbackManager, handleImageLoad, checkWebPSupport } from './image-fallback.js';
+import { PAGE_EVENTS, dispatchPageEvent } from './page-events.js';
+import { ThemeSwitcher } from './theme-switcher.js';
+import { PhoenixAnimationController } from './phoenix-controller.js';
+import { AccessibilityManager } from './accessibility-manager.js';
+import { SectionNavigator } from './section-navigation.js';
+import { EventsList } from './events-list.js';
+import { ResponsiveDesignVerifier } from './responsive-verifier.js';
+import { createPublicAPI } from './public-api.js';
+
+// Initialize image handling with enhanced error recovery and accessibility
+export async function bootstrap() {
+  liveAnnouncer.init();
+
+  // Retry and fall back for every image that opts in with data-fallback-* attributes
+  const imageFallbackManager = new ImageFallbackManager();
+  imageFallbackManager.init();
+
+  // Set year
+  const yearElement = document.getElementById('year');
+  if (yearElement) {
+    yearElement.textContent = new Date().getFullYear();
+  }
+
+  const heroImage = document.querySelector('.hero-image');
+  const heroPicture = document.querySelector('.hero-picture');
+  
+  if (heroImage && heroPicture) {
+    // Check WebP support
+    const supportsWebP = await checkWebPSupport();
+    
+    // If WebP is not supported, modify the picture element to skip WebP
+    if (!supportsWebP) {
+      const webpSource = heroPicture.querySelector('source[type="image/webp"]');
+      if (webpSource) {
+        webpSource.remove();
+      }
+      console.info('WebP not supported, using PNG fallback');
+    }
+    
+    // Load handling with performance monitoring (errors are handled by ImageFallbackManager)
+    const imageLoadStart = performance.now();
+    
+    heroImage.addEventListener('load', () => {
+      handleImageLoad(heroImage);
+      
+      // Performance monitoring (development only)
+      if (isDevelopment()) {
+        const loadTime = performance.now() - imageLoadStart;
+        console.info(`Hero image loaded in ${loadTime.toFixed(2)}ms`);
+      }
+    });
+  }
+  
+  // Initialize accessibility manager
+  const accessibilityManager = new AccessibilityManager();
+  accessibilityManager.init();
+  
+  // Keep the hero pills and the URL hash in step with the section being read
+  const sectionNavigator = new SectionNavigator();
+  sectionNavigator.init();
+  
+  // Render the upcoming events from the connpass snapshot (keeps the static link on failure)
+  const eventsList = new EventsList();
+  eventsList.init();
+  
+  // Initialize the theme switcher before the controllers that follow the theme
+  const themeSwitcher = new ThemeSwitcher();
+  themeSwitcher.init();
+  
+  // Initialize Phoenix animation controller
+  const phoenixController = new PhoenixAnimationController();
+  phoenixController.init();
+  
+  // Initialize responsive design verifier
+  const responsiveVerifier = new ResponsiveDesignVerifier();
+  responsiveVerifier.init();
+  
+  // Expose the controllers, then let listeners know the API is available
+  window.ToukonElixir = createPublicAPI({ phoenixController, accessibilityManager, responsiveVerifier, themeSwitcher, sectionNavigator, eventsList });
+  dispatchPageEvent(PAGE_EVENTS.ready, { api: window.ToukonElixir });
+  
+  // Announce page load completion to screen readers
+  setTimeout(() => {
+    announceToScreenReader(getMessage('pageLoaded'), { priority: 'low' });
+  }, 1000);
+  
+  return window.ToukonElixir;
+}
@@ -0,0 +1,159 @@
+/**
+ * Modal dialogs
+ *
+ * Opens a <dialog> as a modal: the rest of the page is made inert, Tab and
+ * Shift+Tab cycle through the dialog's controls, Escape closes it and focus
+ * goes back to the element that opened it. AccessibilityManager creates one
+ * Dialog per <dialog> in the page and wires up the [data-dialog-open] and
+ * [data-dialog-close] buttons.
+ */
+
+import { getMessage } from './messages.js';
+import { announceToScreenReader } from './announcer.js';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+export class Dialog {
+  // options.onClose(dialog) runs after the dialog has closed and focus has been returned
+  constructor(element, options = {}) {
+    this.element = element;
+    this.opener = null;
+    this.inertElements = [];
+    this.onClose = options.onClose || null;
+
+    this.handleKeydown = (e) => {
+      if (e.key === 'Tab') this.trapFocus(e);
+    };
+    // Native modal dialogs close themselves on Escape; go through close() so focus is returned
+    this.handleCancel = (e) => {
+      e.preventDefault();
+      this.close();
+    };
+  }
+
+  get isOpen() {
+    return this.element.hasAttribute('open');
+  }
+
+  get title() {
+    const labelledBy = this.element.getAttribute('aria-labelledby');
+    const label = labelledBy && document.getElementById(labelledBy);
+    return label ? label.textContent.trim() : (this.element.getAttribute('aria-label') || '');
+  }
+
+  open(opener = document.activeElement) {
+    if (this.isOpen) return;
+
+    this.opener = opener;
+    this.fillContent();
+    this.setBackgroundInert(true);
+    if (typeof this.element.showModal === 'function') {
+      this.element.showModal();
+    } else {
+      this.element.setAttribute('open', '');
+    }
+    this.element.addEventListener('keydown', this.handleKeydown);
+    this.element.addEventListener('cancel', this.handleCancel);
+    this.initialFocus().focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.element.removeEventListener('keydown', this.handleKeydown);
+    this.element.removeEventListener('cancel', this.handleCancel);
+    if (typeof this.element.close === 'function') {
+      this.element.close();
+    } else {
+      this.element.removeAttribute('open');
+    }
+    this.setBackgroundInert(false);
+
+    // Opening is announced by the focus move into the dialog; closing needs a message
+    announceToScreenReader(getMessage('dialogClosed', { title: this.title }), { key: 'dialog' });
+
+    const opener = this.opener;
+    this.opener = null;
+    if (opener && opener !== document.body && document.contains(opener)) {
+      opener.focus();
+    }
+    if (this.onClose) this.onClose(this);
+  }
+
+  focusableElements() {
+    return Array.from(this.element.querySelectorAll(FOCUSABLE))
+      .filter(element => !element.closest('[hidden]'));
+  }
+
+  // [autofocus], else the first control, else the dialog itself
+  initialFocus() {
+    const target = this.element.querySelector('[autofocus]') || this.focusableElements()[0];
+    if (target) return target;
+
+    if (!this.element.hasAttribute('tabindex')) {
+      this.element.setAttribute('tabindex', '-1');
+    }
+    return this.element;
+  }
+
+  trapFocus(e) {
+    const focusable = this.focusableElements();
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = this.element.contains(document.activeElement) && document.activeElement !== this.element;
+
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Everything around the dialog except the live regions, which must keep reaching screen readers
+  setBackgroundInert(inert) {
+    if (!inert) {
+      this.inertElements.forEach(element => element.removeAttribute('inert'));
+      this.inertElements = [];
+      return;
+    }
+
+    let node = this.element;
+    while (node !== document.body && node.parentElement) {
+      Array.from(node.parentElement.children).forEach(sibling => {
+        if (sibling === node || sibling.hasAttribute('inert') || sibling.hasAttribute('aria-live')) return;
+        sibling.setAttribute('inert', '');
+        this.inertElements.push(sibling);
+      });
+      node = node.parentElement;
+    }
+  }
+
+  // data-dialog-content="#code-desc" shows a copy of page content (e.g. a section the simple view hides)
+  fillContent() {
+    const selector = this.element.dataset.dialogContent;
+    const body = this.element.querySelector('.dialog-body');
+    if (!selector || !body || body.childElementCount > 0) return;
+
+    const source = document.querySelector(selector);
+    if (!source) return;
+
+    // Copied ids would clash with the originals
+    const copy = source.cloneNode(true);
+    copy.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+    body.append(...Array.from(copy.childNodes));
+  }
+}
@@ -0,0 +1,13 @@
+/**
+ * Page environment
+ *
+ * Values that depend on where the page is served from.
+ */
+
+// Site root, resolved from this script's URL so localized pages in subdirectories (e.g. /en/) find shared assets
+export const ASSET_BASE = document.currentScript ? new URL('.', document.currentScript.src).href : '';
+
+// Development builds (npm run dev / npm run serve) are served from the local machine
+export function isDevelopment(location = window.location) {
+  return location.hostname === 'localhost' || location.hostname === '127.0.0.1';
+}
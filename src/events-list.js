@@ -0,0 +1,186 @@
+/**
+ * Upcoming events list
+ *
+ * Renders the next events from events.json, the connpass API response
+ * snapshot published by build.js (see lib/connpass.js), as cards in the
+ * Events section. When the file is missing, malformed, older than maxAge
+ * or has no upcoming events the list stays hidden and the section keeps
+ * its static link to the connpass page. Every card links to the event's
+ * .ics file (written next to events.json by build.js, see
+ * lib/icalendar.js) and to Google Calendar.
+ */
+
+import { getMessage } from './messages.js';
+
+export const EVENTS_LIST_CONFIG = {
+  source: '#events-data', // <link rel="preload"> whose href points at events.json (relocated on /en/)
+  list: '#event-list',
+  maxEvents: 3,
+  maxAge: 14 * 24 * 60 * 60 * 1000, // snapshots fetched longer ago than this are ignored (deploy.yml refreshes daily when it can)
+  calendarDir: 'events', // <calendarDir>/<id>.ics, relative to events.json
+  googleCalendar: 'https://calendar.google.com/calendar/render',
+  timeZone: 'Asia/Tokyo'
+};
+
+const ONLINE_PLACE = /オンライン|online/i;
+
+// 20261107T043000Z
+function utcTime(value) {
+  return new Date(value).toISOString().replace(/[-:]|\.\d{3}/g, '');
+}
+
+// Events that have not ended yet at `now` (a timestamp in ms), soonest first; the build uses the
+// same function from lib/connpass.js, keep the two in step
+export function upcomingEvents(snapshot, now = Date.now()) {
+  return snapshot.events
+    .filter(event => Date.parse(event.ended_at || event.started_at) >= now)
+    .sort((a, b) => Date.parse(a.started_at) - Date.parse(b.started_at));
+}
+
+export class EventsList {
+  constructor(options = {}) {
+    this.config = Object.assign({}, EVENTS_LIST_CONFIG, options);
+    this.container = null;
+    this.events = [];
+  }
+
+  async init() {
+    this.container = document.querySelector(this.config.list);
+    const source = document.querySelector(this.config.source);
+    if (!this.container || !source) return;
+
+    try {
+      const response = await fetch(source.href);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.render(await response.json());
+    } catch (error) {
+      console.warn('Upcoming events unavailable, showing the connpass link only:', error.message);
+    }
+  }
+
+  // Returns true when cards were rendered
+  render(snapshot, now = Date.now()) {
+    const fetchedAt = Date.parse(snapshot && snapshot.fetched_at);
+    if (!Array.isArray(snapshot && snapshot.events) || !(now - fetchedAt <= this.config.maxAge)) {
+      return false;
+    }
+
+    this.events = upcomingEvents(snapshot, now).slice(0, this.config.maxEvents);
+    if (this.events.length === 0) return false;
+
+    this.container.querySelector('ul').replaceChildren(...this.events.map(event => this.renderCard(event)));
+    this.container.hidden = false;
+    return true;
+  }
+
+  renderCard(event) {
+    const card = document.createElement('li');
+    card.className = 'event-card';
+
+    const title = document.createElement('h3');
+    title.className = 'event-title';
+    const link = document.createElement('a');
+    link.href = event.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = event.title;
+    title.append(link);
+
+    const date = document.createElement('time');
+    date.className = 'event-meta';
+    date.dateTime = event.started_at;
+    date.textContent = this.formatDate(event);
+
+    card.append(title, date);
+    [this.formatVenue(event), this.formatCapacity(event)].filter(Boolean).forEach(text => {
+      const meta = document.createElement('span');
+      meta.className = 'event-meta';
+      meta.textContent = text;
+      card.append(meta);
+    });
+    card.append(this.renderCalendarLinks(event));
+    return card;
+  }
+
+  renderCalendarLinks(event) {
+    const actions = document.createElement('p');
+    actions.className = 'event-actions';
+
+    const file = document.createElement('a');
+    file.className = 'pill event-action';
+    file.href = this.calendarFileURL(event);
+    file.setAttribute('download', '');
+    file.textContent = getMessage('eventCalendarFile');
+    file.setAttribute('aria-label', getMessage('eventCalendarFileLabel', { title: event.title }));
+
+    const google = document.createElement('a');
+    google.className = 'pill event-action';
+    google.href = this.googleCalendarURL(event);
+    google.target = '_blank';
+    google.rel = 'noopener';
+    google.textContent = getMessage('eventGoogleCalendar');
+    google.setAttribute('aria-label', getMessage('eventGoogleCalendarLabel', { title: event.title }));
+
+    actions.append(file, google);
+    return actions;
+  }
+
+  // Next to events.json, wherever the page itself is (the /en/ page reads ../events.json)
+  calendarFileURL(event) {
+    const source = document.querySelector(this.config.source);
+    const base = source ? source.href : document.baseURI;
+    return new URL(`${this.config.calendarDir}/${encodeURIComponent(event.id)}.ics`, base).href;
+  }
+
+  // UTC times, shown in Japan time through ctz
+  googleCalendarURL(event) {
+    const query = new URLSearchParams({
+      action: 'TEMPLATE',
+      text: event.title,
+      dates: `${utcTime(event.started_at)}/${utcTime(event.ended_at || event.started_at)}`,
+      ctz: this.config.timeZone,
+      details: event.url,
+      location: [event.place, event.address].filter(Boolean).join(', ')
+    });
+    return `${this.config.googleCalendar}?${query}`;
+  }
+
+  // Always in Japan time, whatever the visitor's time zone
+  formatDate(event) {
+    const format = new Intl.DateTimeFormat(document.documentElement.lang || 'ja', {
+      timeZone: this.config.timeZone,
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const start = new Date(event.started_at);
+    const date = event.ended_at && typeof format.formatRange === 'function'
+      ? format.formatRange(start, new Date(event.ended_at))
+      : format.format(start);
+    return getMessage('eventDate', { date });
+  }
+
+  // connpass has no online flag: events without an address (or with "オンライン" as the place) are online
+  formatVenue(event) {
+    const place = (event.place || '').trim();
+    const online = !event.address || ONLINE_PLACE.test(place);
+    const parts = place ? [place] : [];
+    if (online && !ONLINE_PLACE.test(place)) {
+      parts.push(getMessage('eventOnline'));
+    }
+    return parts.join(' / ');
+  }
+
+  formatCapacity(event) {
+    const accepted = event.accepted || 0;
+    const capacity = event.limit
+      ? getMessage('eventCapacity', { accepted, limit: event.limit })
+      : getMessage('eventCapacityUnlimited', { accepted });
+    return event.waiting ? `${capacity} · ${getMessage('eventWaiting', { waiting: event.waiting })}` : capacity;
+  }
+}
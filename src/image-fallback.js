@@ -0,0 +1,149 @@
+/**
+ * Resilient images
+ */
+
+import { ASSET_BASE, isDevelopment } from './environment.js';
+import { getMessage } from './messages.js';
+import { announceToScreenReader } from './announcer.js';
+
+// Resilient images: any <img> can opt in with data attributes
+//   data-fallback-srcs="a.png b.png"  fallback URLs tried in order (resolved against the site root)
+//   data-fallback-retries="1"         retries of each source before moving on
+//   data-fallback-backoff="400"       base retry delay in ms, doubled on every retry
+//   data-fallback-placeholder="id"    element shown (and the image hidden) when every source failed
+//   data-fallback-announce            announce the final failure to screen readers
+// Responsive candidates (<source> elements, srcset/sizes) are dropped before the first fallback URL.
+export class ImageFallbackManager {
+  constructor(root = document) {
+    this.root = root;
+    this.states = new WeakMap();
+  }
+
+  init() {
+    this.root.querySelectorAll('img[data-fallback-srcs], img[data-fallback-placeholder]').forEach(img => this.register(img));
+  }
+
+  register(img) {
+    if (this.states.has(img)) return;
+
+    this.states.set(img, {
+      sources: (img.dataset.fallbackSrcs || '').split(/[\s,]+/).filter(Boolean),
+      retries: Math.max(0, parseInt(img.dataset.fallbackRetries, 10) || 0),
+      backoff: Math.max(0, parseInt(img.dataset.fallbackBackoff, 10) || 0),
+      index: -1,
+      attempt: 0,
+      timer: null
+    });
+
+    img.addEventListener('error', () => this.handleError(img));
+
+    // The image may have failed before this script ran (deferred scripts run after parsing)
+    if (img.complete && img.naturalWidth === 0 && (img.currentSrc || img.getAttribute('src'))) {
+      this.handleError(img);
+    }
+  }
+
+  handleError(img) {
+    const state = this.states.get(img);
+    if (!state || state.timer) return;
+
+    // Retry the current source with exponential backoff
+    if (state.attempt < state.retries) {
+      const delay = state.backoff * Math.pow(2, state.attempt);
+      state.attempt++;
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        this.reload(img);
+      }, delay);
+      return;
+    }
+
+    state.attempt = 0;
+    state.index++;
+    if (state.index < state.sources.length) {
+      this.dropResponsiveCandidates(img);
+      img.src = this.resolve(state.sources[state.index]);
+      return;
+    }
+
+    this.showPlaceholder(img);
+  }
+
+  reload(img) {
+    const picture = img.closest('picture');
+    if (img.srcset || (picture && picture.querySelector('source'))) {
+      // Re-setting srcset makes the browser run source selection again
+      img.setAttribute('srcset', img.getAttribute('srcset') || '');
+    }
+    img.src = img.getAttribute('src');
+  }
+
+  dropResponsiveCandidates(img) {
+    const picture = img.closest('picture');
+    if (picture) {
+      picture.querySelectorAll('source').forEach(source => source.remove());
+    }
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+  }
+
+  resolve(src) {
+    return /^([a-z][\w+.-]*:|\/)/i.test(src) ? src : `${ASSET_BASE}${src}`;
+  }
+
+  showPlaceholder(img) {
+    const placeholder = img.dataset.fallbackPlaceholder
+      ? document.getElementById(img.dataset.fallbackPlaceholder)
+      : null;
+    if (!placeholder) return;
+
+    img.style.display = 'none';
+    const picture = img.closest('picture');
+    if (picture) {
+      picture.style.display = 'none';
+    }
+    placeholder.style.display = 'block';
+
+    if ('fallbackAnnounce' in img.dataset) {
+      announceToScreenReader(getMessage('imageLoadFailed'));
+    }
+
+    // Log error for debugging (only in development)
+    if (isDevelopment()) {
+      console.warn('Image failed to load after retries, showing placeholder:', img.dataset.fallbackPlaceholder);
+    }
+  }
+}
+
+// Handle successful image load with accessibility improvements
+export function handleImageLoad(img) {
+  // Ensure fallback is hidden when image loads successfully
+  const fallback = img.dataset.fallbackPlaceholder ? document.getElementById(img.dataset.fallbackPlaceholder) : null;
+  if (fallback) {
+    fallback.style.display = 'none';
+  }
+  
+  // Add loaded class for CSS animations and hide loading spinner
+  img.classList.add('loaded');
+  const picture = img.closest('.hero-picture');
+  if (picture) {
+    picture.classList.add('loaded');
+  }
+  
+  // Announce successful load to screen readers
+  announceToScreenReader(getMessage('imageLoaded'), { priority: 'low' });
+  
+  // Log successful load (only in development)
+  if (isDevelopment()) {
+    console.info('Hero image loaded successfully:', img.src);
+  }
+}
+
+// WebP support detection and progressive enhancement
+export function checkWebPSupport() {
+  return new Promise((resolve) => {
+    const webP = new Image();
+    webP.onload = webP.onerror = () => resolve(webP.height === 2);
+    webP.src = 'data:image/webp;base64,UklGRjoAAABXRUJQVlA4IC4AAACyAgCdASoCAAIALmk0mk0iIiIiIgBoSygABc6WWgAA/veff/0PP8bA//LwYAAA';
+  });
+}
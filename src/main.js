@@ -0,0 +1,12 @@
+/**
+ * Browser entry point
+ *
+ * build.js bundles this module and everything it imports into the
+ * hashed script.js loaded by index.html (see lib/bundler.js).
+ */
+
+import { bootstrap } from './bootstrap.js';
+
+// <html data-theme> and <html data-motion> are already set by the inline
+// theme script in <head> (src/theme-init.js)
+document.addEventListener('DOMContentLoaded', bootstrap);
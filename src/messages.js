@@ -0,0 +1,25 @@
+/**
+ * Localized screen-reader messages
+ */
+
+// Localized messages for the page locale, embedded by build.js from locales/<lang>.json
+let localeMessages = null;
+
+export function getMessage(key, values = {}) {
+  if (!localeMessages) {
+    const catalog = document.getElementById('i18n-messages');
+    try {
+      localeMessages = catalog ? JSON.parse(catalog.textContent) : {};
+    } catch (error) {
+      localeMessages = {};
+    }
+  }
+
+  const message = localeMessages[key] || key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+// Forget the loaded catalog (the next getMessage() reads #i18n-messages again)
+export function resetMessages() {
+  localeMessages = null;
+}
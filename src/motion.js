@@ -0,0 +1,33 @@
+/**
+ * Motion preference
+ *
+ * Set with the pause/play toggle and kept in localStorage. The inline theme
+ * script in <head> (src/theme-init.js) applies it to <html data-motion>
+ * before the first paint so the forced phoenix animations (see
+ * #force-animations in index.html) stay paused across reloads.
+ */
+
+export const MOTION_STORAGE_KEY = 'toukon-elixir:motion';
+
+export function readMotionPreference() {
+  try {
+    return localStorage.getItem(MOTION_STORAGE_KEY) === 'paused' ? 'paused' : 'playing';
+  } catch (error) {
+    // Storage can be unavailable (privacy mode, sandboxed iframes)
+    return 'playing';
+  }
+}
+
+// Reflect the stored preference on <html data-motion> (called from src/theme-init.js before the first paint)
+export function applyMotionPreference() {
+  document.documentElement.dataset.motion = readMotionPreference();
+}
+
+export function saveMotionPreference(motion) {
+  document.documentElement.dataset.motion = motion;
+  try {
+    localStorage.setItem(MOTION_STORAGE_KEY, motion);
+  } catch (error) {
+    // The choice still applies to this page view
+  }
+}
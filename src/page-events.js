@@ -0,0 +1,18 @@
+/**
+ * Page events
+ */
+
+// DOM events dispatched on document by the page controllers (event.detail describes the change)
+export const PAGE_EVENTS = {
+  ready: 'toukon:ready',
+  performanceModeChange: 'toukon:performancemodechange',
+  breakpointChange: 'toukon:breakpointchange',
+  motionChange: 'toukon:motionchange',
+  themeChange: 'toukon:themechange',
+  dialogOpen: 'toukon:dialogopen',
+  dialogClose: 'toukon:dialogclose'
+};
+
+export function dispatchPageEvent(type, detail) {
+  document.dispatchEvent(new CustomEvent(type, { detail }));
+}
@@ -0,0 +1,215 @@
+/**
+ * Canvas phoenix embers
+ */
+
+// Canvas 2D embers layered on the plate, used instead of the CSS particle layer in 'high' mode.
+// Embers rise from the bottom edge, are pushed aside by the pointer and lifted by scrolling.
+export const PARTICLE_RENDERER_CONFIG = {
+  maxParticles: 90,
+  spawnRate: 30, // embers per second
+  pointerRadius: 120, // px
+  pointerForce: 260, // px/s² at the pointer, fading to 0 at pointerRadius
+  scrollLift: 0.6, // share of the scroll distance added to the rise speed
+  maxPixelRatio: 2
+};
+
+export class PhoenixParticleRenderer {
+  // palette: { colors, composite } (see PhoenixAnimationController.flamePalette())
+  constructor(plate, palette) {
+    this.plate = plate;
+    this.canvas = null;
+    this.context = null;
+    this.particles = [];
+    this.palette = palette;
+    this.frameId = null;
+    this.lastTimestamp = 0;
+    this.spawnBudget = 0;
+    this.width = 0;
+    this.height = 0;
+    this.pointer = null;
+    this.scrollVelocity = 0;
+    this.lastScrollY = 0;
+    this.resizeObserver = null;
+    
+    this.handlePointerMove = (e) => {
+      const rect = this.plate.getBoundingClientRect();
+      this.pointer = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+    this.handlePointerLeave = () => {
+      this.pointer = null;
+    };
+    this.handleScroll = () => {
+      this.scrollVelocity += window.scrollY - this.lastScrollY;
+      this.lastScrollY = window.scrollY;
+    };
+    this.handleResize = () => this.resize();
+  }
+  
+  // Returns false when Canvas 2D is unavailable, leaving the CSS particles in place
+  mount() {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return false;
+    
+    canvas.className = 'phoenix-canvas';
+    canvas.setAttribute('aria-hidden', 'true');
+    this.canvas = canvas;
+    this.context = context;
+    this.plate.insertBefore(canvas, this.plate.querySelector('.hero-picture'));
+    this.plate.classList.add('has-phoenix-canvas');
+    
+    this.lastScrollY = window.scrollY;
+    this.plate.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+    this.plate.addEventListener('pointerleave', this.handlePointerLeave);
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    if ('ResizeObserver' in window) {
+      this.resizeObserver = new ResizeObserver(this.handleResize);
+      this.resizeObserver.observe(this.plate);
+    } else {
+      window.addEventListener('resize', this.handleResize);
+    }
+    
+    this.resize();
+    return true;
+  }
+  
+  unmount() {
+    this.stop();
+    this.plate.removeEventListener('pointermove', this.handlePointerMove);
+    this.plate.removeEventListener('pointerleave', this.handlePointerLeave);
+    window.removeEventListener('scroll', this.handleScroll);
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    } else {
+      window.removeEventListener('resize', this.handleResize);
+    }
+    
+    if (this.canvas) this.canvas.remove();
+    this.plate.classList.remove('has-phoenix-canvas');
+    this.canvas = null;
+    this.context = null;
+    this.particles = [];
+  }
+  
+  // Switch colors (e.g. after a theme change); embers already in flight are recolored too
+  setPalette(palette) {
+    this.palette = palette;
+    this.particles.forEach(particle => {
+      particle.color = this.randomColor();
+    });
+  }
+  
+  randomColor() {
+    const { colors } = this.palette;
+    return colors[Math.floor(Math.random() * colors.length)];
+  }
+  
+  start() {
+    if (this.frameId !== null || !this.context) return;
+    
+    this.lastTimestamp = 0;
+    this.frameId = requestAnimationFrame(timestamp => this.frame(timestamp));
+  }
+  
+  stop() {
+    if (this.frameId === null) return;
+    
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+  
+  resize() {
+    const ratio = Math.min(window.devicePixelRatio || 1, PARTICLE_RENDERER_CONFIG.maxPixelRatio);
+    this.width = this.plate.clientWidth;
+    this.height = this.plate.clientHeight;
+    this.canvas.width = Math.round(this.width * ratio);
+    this.canvas.height = Math.round(this.height * ratio);
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+  
+  frame(timestamp) {
+    // Clamp the step so a long pause does not teleport every ember
+    const dt = this.lastTimestamp ? Math.min((timestamp - this.lastTimestamp) / 1000, 0.05) : 0;
+    this.lastTimestamp = timestamp;
+    
+    this.update(dt);
+    this.draw();
+    this.frameId = requestAnimationFrame(nextTimestamp => this.frame(nextTimestamp));
+  }
+  
+  spawn() {
+    this.particles.push({
+      x: Math.random() * this.width,
+      y: this.height + 8,
+      vx: (Math.random() - 0.5) * 20,
+      vy: -(30 + Math.random() * 50),
+      size: 1 + Math.random() * 2.5,
+      age: 0,
+      life: 2.5 + Math.random() * 3,
+      flicker: Math.random() * Math.PI * 2,
+      color: this.randomColor()
+    });
+  }
+  
+  update(dt) {
+    const { maxParticles, spawnRate, pointerRadius, pointerForce, scrollLift } = PARTICLE_RENDERER_CONFIG;
+    
+    this.spawnBudget += dt * spawnRate;
+    while (this.spawnBudget >= 1) {
+      this.spawnBudget--;
+      if (this.particles.length < maxParticles) this.spawn();
+    }
+    
+    // Scrolling down lifts the embers; the push decays within a fraction of a second
+    const lift = this.scrollVelocity * scrollLift;
+    this.scrollVelocity *= Math.pow(0.05, dt);
+    
+    this.particles = this.particles.filter(particle => {
+      particle.age += dt;
+      particle.flicker += dt * 6;
+      particle.vx += Math.sin(particle.flicker) * 8 * dt;
+      
+      if (this.pointer) {
+        const dx = particle.x - this.pointer.x;
+        const dy = particle.y - this.pointer.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        if (distance < pointerRadius) {
+          const push = pointerForce * (1 - distance / pointerRadius) * dt;
+          particle.vx += (dx / distance) * push;
+          particle.vy += (dy / distance) * push;
+        }
+      }
+      
+      particle.x += particle.vx * dt;
+      particle.y += (particle.vy - lift) * dt;
+      return particle.age < particle.life && particle.y > -10;
+    });
+  }
+  
+  draw() {
+    const context = this.context;
+    context.clearRect(0, 0, this.width, this.height);
+    context.globalCompositeOperation = this.palette.composite;
+    
+    this.particles.forEach(particle => {
+      // Quick fade in, slow fade out
+      const progress = particle.age / particle.life;
+      const alpha = Math.min(1, progress * 8) * (1 - progress);
+      context.fillStyle = particle.color;
+      
+      context.globalAlpha = alpha * 0.2;
+      context.beginPath();
+      context.arc(particle.x, particle.y, particle.size * 3, 0, Math.PI * 2);
+      context.fill();
+      
+      context.globalAlpha = alpha;
+      context.beginPath();
+      context.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+      context.fill();
+    });
+    
+    context.globalAlpha = 1;
+    context.globalCompositeOperation = 'source-over';
+  }
+}
@@ -0,0 +1,501 @@
+/**
+ * Phoenix animation control
+ */
+
+import { getMessage } from './messages.js';
+import { announceToScreenReader } from './announcer.js';
+import { PAGE_EVENTS, dispatchPageEvent } from './page-events.js';
+import { saveMotionPreference } from './motion.js';
+import { PhoenixParticleRenderer } from './particle-renderer.js';
+
+// Performance modes from lightest to richest
+export const PERFORMANCE_MODES = ['minimal', 'low', 'medium', 'high'];
+
+// Frame-time sampling while the plate is visible: a window of `sampleSize` frames is janky when the
+// average frame time or the share of slow frames is above the step-down limits, and smooth when both
+// are below the step-up limits. `windows` consecutive janky (smooth) windows step the mode down (up).
+// A lighter mode renders less (no canvas embers below 'high'), so a step up is only a trial: when the
+// richer mode turns janky again, the next trial waits `backoff` times as many smooth windows.
+export const FRAME_MONITOR_CONFIG = {
+  sampleSize: 90,
+  slowFrame: 34, // ms, i.e. below ~30 fps
+  maxFrameGap: 1000, // ms; longer gaps are a hidden tab or a paused page, not jank
+  stepDown: { averageFrameTime: 25, slowRatio: 0.2, windows: 2 },
+  stepUp: { averageFrameTime: 18, slowRatio: 0.05, windows: 5, backoff: 2 }
+};
+
+export class PhoenixAnimationController {
+  constructor() {
+    this.plate = null;
+    this.phoenixWings = null;
+    this.phoenixParticles = null;
+    this.animationPhase = 0;
+    this.performanceMode = 'high'; // high, medium, low, minimal
+    this.detectedMode = 'high'; // what device capabilities alone suggest
+    this.frameRateCap = null; // highest mode the measured frame rate allows (null: no limit)
+    this.forcedMode = null; // set through the public API; overrides detection and frame-rate stepping
+    this.frameMonitor = {
+      frameId: null,
+      lastTimestamp: 0,
+      samples: [],
+      jankyWindows: 0,
+      smoothWindows: 0,
+      stepUpWindows: FRAME_MONITOR_CONFIG.stepUp.windows, // smooth windows the next step up needs
+      trialMode: null // mode reached by the last step up, until it is stepped down from
+    };
+    this.isVisible = false;
+    this.motionPaused = false;
+    this.motionToggle = null;
+    this.theme = 'dark';
+    this.particleRenderer = null;
+    this.particleRendererUnsupported = false;
+    this.responsiveListenersReady = false;
+    this.accessibilityListenersReady = false;
+  }
+  
+  init() {
+    this.plate = document.querySelector('.plate');
+    this.phoenixWings = document.querySelector('.phoenix-wings');
+    this.phoenixParticles = document.querySelector('.phoenix-particles');
+    
+    if (!this.plate) return;
+    
+    this.motionPaused = document.documentElement.dataset.motion === 'paused';
+    this.theme = document.documentElement.dataset.theme || 'dark';
+    this.setupMotionToggle();
+    this.setupThemeListener();
+    this.detectPerformanceMode();
+    this.setupIntersectionObserver();
+    this.setupAnimationSequence();
+  }
+  
+  detectPerformanceMode() {
+    // Check for accessibility preferences first
+    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const highContrastTheme = this.theme === 'high-contrast';
+    const forcedColors = window.matchMedia('(forced-colors: active)').matches;
+    
+    // Respect accessibility preferences, even over a forced mode
+    if (prefersReducedMotion || highContrastTheme || forcedColors) {
+      this.performanceMode = 'minimal';
+      this.detectedMode = 'minimal';
+      this.stopFrameMonitor();
+      this.applyPerformanceOptimizations();
+      this.setupAccessibilityListeners();
+      return;
+    }
+    
+    if (this.forcedMode) {
+      this.performanceMode = this.forcedMode;
+      this.applyPerformanceOptimizations();
+      return;
+    }
+    
+    // Detect device capabilities for performance optimization
+    const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+    const memory = navigator.deviceMemory || 4; // Default to 4GB if not available
+    
+    // Detect screen size for responsive performance optimization
+    const screenWidth = window.innerWidth;
+    const isMobile = screenWidth <= 767;
+    const isSmallMobile = screenWidth <= 320;
+    const isTablet = screenWidth >= 768 && screenWidth <= 1023;
+    
+    // Performance mode based on device capabilities and screen size
+    if (isSmallMobile || memory < 2 || (connection && connection.effectiveType === 'slow-2g')) {
+      this.performanceMode = 'minimal';
+    } else if (isMobile || memory < 4 || (connection && connection.effectiveType === '3g')) {
+      this.performanceMode = 'low';
+    } else if (isTablet || memory < 6 || (connection && connection.effectiveType === '4g')) {
+      this.performanceMode = 'medium';
+    } else {
+      this.performanceMode = 'high';
+    }
+    
+    // Never go above what the measured frame rate allows
+    this.detectedMode = this.performanceMode;
+    if (this.frameRateCap && PERFORMANCE_MODES.indexOf(this.frameRateCap) < PERFORMANCE_MODES.indexOf(this.detectedMode)) {
+      this.performanceMode = this.frameRateCap;
+    }
+    
+    this.applyPerformanceOptimizations();
+    this.setupResponsiveListeners();
+  }
+  
+  setupAccessibilityListeners() {
+    if (this.accessibilityListenersReady) return;
+    this.accessibilityListenersReady = true;
+    
+    // Listen for changes in accessibility preferences
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    
+    reducedMotionQuery.addEventListener('change', (e) => {
+      if (e.matches) {
+        this.performanceMode = 'minimal';
+        this.detectedMode = 'minimal';
+        this.stopFrameMonitor();
+        this.pauseAnimations();
+        this.updateParticleRenderer();
+        announceToScreenReader(getMessage('animationsDisabled'));
+      } else {
+        this.detectPerformanceMode();
+        announceToScreenReader(getMessage('animationsEnabled'));
+      }
+    });
+  }
+  
+  // The high-contrast theme drops the animated layers like the accessibility preferences do;
+  // every theme brings its own flame colors (--fire1..4), which the canvas embers pick up
+  setupThemeListener() {
+    document.addEventListener(PAGE_EVENTS.themeChange, (e) => this.setTheme(e.detail.theme));
+  }
+  
+  setTheme(theme) {
+    if (theme === this.theme) return;
+    
+    const contrastChanged = (theme === 'high-contrast') !== (this.theme === 'high-contrast');
+    this.theme = theme;
+    if (this.particleRenderer) {
+      this.particleRenderer.setPalette(this.flamePalette());
+    }
+    
+    if (contrastChanged) {
+      const previousMode = this.performanceMode;
+      this.detectPerformanceMode();
+      if (previousMode !== this.performanceMode) {
+        this.notifyPerformanceModeChange(previousMode, 'theme');
+      }
+    }
+  }
+  
+  // Ember colors for the current theme: added onto the dark plates, multiplied into the light one
+  flamePalette() {
+    const styles = getComputedStyle(document.documentElement);
+    const colors = ['--fire1', '--fire2', '--fire3', '--fire4']
+      .map(name => styles.getPropertyValue(name).trim())
+      .filter(Boolean);
+    
+    return {
+      colors: colors.length > 0 ? colors : ['#ffd166'],
+      composite: this.theme === 'light' ? 'multiply' : 'lighter'
+    };
+  }
+  
+  applyPerformanceOptimizations() {
+    if (!this.plate) return;
+    
+    const root = document.documentElement;
+    const screenWidth = window.innerWidth;
+    
+    switch (this.performanceMode) {
+      case 'minimal':
+        // Ultra-lightweight for very small screens or accessibility
+        root.style.setProperty('--phoenix-swirl-duration', '45s');
+        root.style.setProperty('--phoenix-breathe-duration', '10s');
+        root.style.setProperty('--phoenix-wing-duration', '15s');
+        root.style.setProperty('--phoenix-particle-duration', '18s');
+        root.style.setProperty('--phoenix-float-duration', '8s');
+        
+        // Disable complex animations on very small screens
+        if (screenWidth <= 320) {
+          if (this.phoenixWings) this.phoenixWings.style.display = 'none';
+          if (this.phoenixParticles) this.phoenixParticles.style.display = 'none';
+        }
+        break;
+        
+      case 'low':
+        // Mobile-optimized performance
+        root.style.setProperty('--phoenix-swirl-duration', '35s');
+        root.style.setProperty('--phoenix-breathe-duration', '8s');
+        root.style.setProperty('--phoenix-wing-duration', '12s');
+        root.style.setProperty('--phoenix-particle-duration', '15s');
+        root.style.setProperty('--phoenix-float-duration', '7s');
+        break;
+        
+      case 'medium':
+        // Tablet-optimized performance
+        root.style.setProperty('--phoenix-swirl-duration', '28s');
+        root.style.setProperty('--phoenix-breathe-duration', '6s');
+        root.style.setProperty('--phoenix-wing-duration', '10s');
+        root.style.setProperty('--phoenix-particle-duration', '13s');
+        root.style.setProperty('--phoenix-float-duration', '6.5s');
+        break;
+        
+      case 'high':
+      default:
+        // Full desktop performance
+        root.style.setProperty('--phoenix-swirl-duration', '22s');
+        root.style.setProperty('--phoenix-breathe-duration', '5.4s');
+        root.style.setProperty('--phoenix-wing-duration', '8s');
+        root.style.setProperty('--phoenix-particle-duration', '12s');
+        root.style.setProperty('--phoenix-float-duration', '6s');
+        break;
+    }
+    
+    this.updateParticleRenderer();
+  }
+  
+  updateParticleRenderer() {
+    // Canvas embers only in 'high' mode; every other mode keeps the CSS particle layer
+    const wanted = this.performanceMode === 'high' && !this.motionPaused && !this.particleRendererUnsupported;
+    
+    if (!wanted) {
+      if (this.particleRenderer) {
+        this.particleRenderer.unmount();
+        this.particleRenderer = null;
+      }
+      return;
+    }
+    
+    if (!this.particleRenderer) {
+      const renderer = new PhoenixParticleRenderer(this.plate, this.flamePalette());
+      if (!renderer.mount()) {
+        this.particleRendererUnsupported = true;
+        return;
+      }
+      this.particleRenderer = renderer;
+    }
+    
+    if (this.isVisible) {
+      this.particleRenderer.start();
+    } else {
+      this.particleRenderer.stop();
+    }
+  }
+  
+  setupResponsiveListeners() {
+    if (this.responsiveListenersReady) return;
+    this.responsiveListenersReady = true;
+    
+    // Listen for screen size changes and adjust performance accordingly
+    let resizeTimeout;
+    window.addEventListener('resize', () => {
+      clearTimeout(resizeTimeout);
+      resizeTimeout = setTimeout(() => {
+        const oldMode = this.performanceMode;
+        this.detectPerformanceMode();
+        
+        if (oldMode !== this.performanceMode) {
+          this.notifyPerformanceModeChange(oldMode, 'resize');
+        }
+      }, 250);
+    });
+    
+    // Listen for orientation changes on mobile
+    window.addEventListener('orientationchange', () => {
+      setTimeout(() => this.detectPerformanceMode(), 100);
+    });
+  }
+  
+  setupIntersectionObserver() {
+    if (!('IntersectionObserver' in window)) return;
+    
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        this.isVisible = entry.isIntersecting;
+        if (this.isVisible) {
+          this.startPhoenixSequence();
+          this.startFrameMonitor();
+        } else {
+          this.pauseAnimations();
+          this.stopFrameMonitor();
+        }
+      });
+    }, { threshold: 0.1 });
+    
+    observer.observe(this.plate);
+  }
+  
+  setPerformanceMode(mode, reason) {
+    const previousMode = this.performanceMode;
+    if (mode === previousMode) return;
+    
+    this.performanceMode = mode;
+    this.applyPerformanceOptimizations();
+    this.notifyPerformanceModeChange(previousMode, reason);
+  }
+  
+  notifyPerformanceModeChange(previousMode, reason) {
+    // Frame-rate steps happen on their own and change nothing the reader can act on
+    if (reason !== 'frame-rate') {
+      announceToScreenReader(getMessage('performanceModeChanged', { mode: this.performanceMode }), { priority: 'low', key: 'performance-mode' });
+    }
+    dispatchPageEvent(PAGE_EVENTS.performanceModeChange, { mode: this.performanceMode, previousMode, reason });
+  }
+  
+  // Pin a performance mode (null goes back to detection)
+  forcePerformanceMode(mode) {
+    if (mode !== null && !PERFORMANCE_MODES.includes(mode)) {
+      throw new TypeError(`Unknown performance mode "${mode}" (expected one of ${PERFORMANCE_MODES.join(', ')} or null)`);
+    }
+    
+    const previousMode = this.performanceMode;
+    this.forcedMode = mode;
+    this.detectPerformanceMode();
+    if (previousMode !== this.performanceMode) {
+      this.notifyPerformanceModeChange(previousMode, mode ? 'forced' : 'detected');
+    }
+  }
+  
+  startFrameMonitor() {
+    const monitor = this.frameMonitor;
+    if (monitor.frameId !== null || this.detectedMode === 'minimal' || this.motionPaused || !('requestAnimationFrame' in window)) return;
+    
+    monitor.lastTimestamp = 0;
+    monitor.samples = [];
+    monitor.frameId = requestAnimationFrame(timestamp => this.sampleFrame(timestamp));
+  }
+  
+  stopFrameMonitor() {
+    const monitor = this.frameMonitor;
+    if (monitor.frameId === null) return;
+    
+    cancelAnimationFrame(monitor.frameId);
+    monitor.frameId = null;
+  }
+  
+  sampleFrame(timestamp) {
+    const monitor = this.frameMonitor;
+    const frameTime = timestamp - monitor.lastTimestamp;
+    
+    if (monitor.lastTimestamp && frameTime < FRAME_MONITOR_CONFIG.maxFrameGap) {
+      monitor.samples.push(frameTime);
+    }
+    monitor.lastTimestamp = timestamp;
+    
+    if (monitor.samples.length >= FRAME_MONITOR_CONFIG.sampleSize) {
+      this.evaluateFrames(monitor.samples);
+      monitor.samples = [];
+    }
+    
+    monitor.frameId = requestAnimationFrame(nextTimestamp => this.sampleFrame(nextTimestamp));
+  }
+  
+  evaluateFrames(samples) {
+    const monitor = this.frameMonitor;
+    const { slowFrame, stepDown, stepUp } = FRAME_MONITOR_CONFIG;
+    const averageFrameTime = samples.reduce((sum, frameTime) => sum + frameTime, 0) / samples.length;
+    const slowRatio = samples.filter(frameTime => frameTime > slowFrame).length / samples.length;
+    
+    if (averageFrameTime > stepDown.averageFrameTime || slowRatio > stepDown.slowRatio) {
+      monitor.smoothWindows = 0;
+      if (++monitor.jankyWindows >= stepDown.windows) {
+        this.stepPerformanceMode(-1);
+      }
+    } else if (averageFrameTime < stepUp.averageFrameTime && slowRatio < stepUp.slowRatio) {
+      monitor.jankyWindows = 0;
+      if (++monitor.smoothWindows >= monitor.stepUpWindows) {
+        this.stepPerformanceMode(1);
+      }
+    } else {
+      monitor.jankyWindows = 0;
+      monitor.smoothWindows = 0;
+    }
+  }
+  
+  stepPerformanceMode(direction) {
+    const monitor = this.frameMonitor;
+    const index = PERFORMANCE_MODES.indexOf(this.performanceMode);
+    const target = PERFORMANCE_MODES[index + direction];
+    monitor.jankyWindows = 0;
+    monitor.smoothWindows = 0;
+    
+    // Stepping up never goes beyond what the device capabilities suggest
+    if (!target || this.forcedMode || (direction > 0 && index >= PERFORMANCE_MODES.indexOf(this.detectedMode))) return;
+    
+    // A failed trial makes the next one wait longer
+    if (direction < 0 && monitor.trialMode === this.performanceMode) {
+      monitor.stepUpWindows *= FRAME_MONITOR_CONFIG.stepUp.backoff;
+    }
+    monitor.trialMode = direction > 0 ? target : null;
+    this.frameRateCap = target === this.detectedMode ? null : target;
+    this.setPerformanceMode(target, 'frame-rate');
+  }
+  
+  setupAnimationSequence() {
+    // Enhanced animation sequence with staggered timing
+    if (this.performanceMode === 'minimal') return;
+    
+    // Stagger the animation start times for more organic feel
+    setTimeout(() => {
+      if (this.phoenixWings) {
+        this.phoenixWings.style.animationDelay = '2s';
+      }
+    }, 100);
+    
+    setTimeout(() => {
+      if (this.phoenixParticles) {
+        this.phoenixParticles.style.animationDelay = '4s';
+      }
+    }, 200);
+  }
+  
+  setupMotionToggle() {
+    this.motionToggle = document.getElementById('motion-toggle');
+    if (!this.motionToggle) return;
+    
+    this.updateMotionToggle();
+    this.motionToggle.hidden = false;
+    this.motionToggle.addEventListener('click', () => {
+      this.setMotionPaused(!this.motionPaused);
+      announceToScreenReader(getMessage(this.motionPaused ? 'motionPaused' : 'motionPlaying'), { key: 'motion' });
+    });
+  }
+  
+  updateMotionToggle() {
+    if (!this.motionToggle) return;
+    
+    this.motionToggle.querySelector('.motion-toggle-icon').textContent = this.motionPaused ? '▶' : '⏸';
+    this.motionToggle.querySelector('.motion-toggle-label').textContent = getMessage(this.motionPaused ? 'motionPlay' : 'motionPause');
+  }
+  
+  setMotionPaused(paused) {
+    if (paused === this.motionPaused) return;
+    
+    this.motionPaused = paused;
+    saveMotionPreference(paused ? 'paused' : 'playing');
+    
+    // The html[data-motion="paused"] rules pause every layer, including the pseudo-elements
+    if (paused) {
+      this.stopFrameMonitor();
+      this.updateParticleRenderer();
+    } else if (this.isVisible) {
+      this.startPhoenixSequence();
+      this.startFrameMonitor();
+    }
+    this.updateMotionToggle();
+    dispatchPageEvent(PAGE_EVENTS.motionChange, { paused });
+  }
+  
+  startPhoenixSequence() {
+    if (this.performanceMode === 'minimal' || this.motionPaused) return;
+    
+    // Resume animations when visible
+    if (this.plate) {
+      this.plate.style.animationPlayState = 'running';
+    }
+    if (this.phoenixWings) {
+      this.phoenixWings.style.animationPlayState = 'running';
+    }
+    if (this.phoenixParticles) {
+      this.phoenixParticles.style.animationPlayState = 'running';
+    }
+    this.updateParticleRenderer();
+  }
+  
+  pauseAnimations() {
+    // Pause animations when not visible to save resources
+    if (this.plate) {
+      this.plate.style.animationPlayState = 'paused';
+    }
+    if (this.phoenixWings) {
+      this.phoenixWings.style.animationPlayState = 'paused';
+    }
+    if (this.phoenixParticles) {
+      this.phoenixParticles.style.animationPlayState = 'paused';
+    }
+    if (this.particleRenderer) {
+      this.particleRenderer.stop();
+    }
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Public runtime API
+ */
+
+import { announceToScreenReader } from './announcer.js';
+import { PAGE_EVENTS } from './page-events.js';
+import { PERFORMANCE_MODES } from './phoenix-controller.js';
+import { THEME_PREFERENCES } from './theme.js';
+
+// Public runtime API (window.ToukonElixir) for tests, embeds and devtools
+export function createPublicAPI({ phoenixController, accessibilityManager, responsiveVerifier, themeSwitcher, sectionNavigator, eventsList }) {
+  return Object.freeze({
+    events: Object.freeze(Object.assign({}, PAGE_EVENTS)),
+    performanceModes: Object.freeze(PERFORMANCE_MODES.slice()),
+    themes: Object.freeze(THEME_PREFERENCES.slice()),
+    
+    getPerformanceMode: () => phoenixController.performanceMode,
+    forcePerformanceMode: mode => phoenixController.forcePerformanceMode(mode),
+    getBreakpoint: () => responsiveVerifier.currentBreakpoint,
+    
+    isMotionPaused: () => phoenixController.motionPaused,
+    pauseMotion: () => phoenixController.setMotionPaused(true),
+    resumeMotion: () => phoenixController.setMotionPaused(false),
+    
+    getTheme: () => themeSwitcher.theme,
+    getThemePreference: () => themeSwitcher.preference,
+    setTheme: preference => themeSwitcher.setPreference(preference),
+    
+    openDialog: id => accessibilityManager.openDialog(id),
+    closeDialog: () => accessibilityManager.closeDialog(),
+    
+    announce: (message, options) => announceToScreenReader(message, options),
+    
+    controllers: Object.freeze({ phoenix: phoenixController, accessibility: accessibilityManager, responsive: responsiveVerifier, theme: themeSwitcher, navigation: sectionNavigator, eventsList })
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Responsive design verification
+ */
+
+import { isDevelopment } from './environment.js';
+import { getMessage } from './messages.js';
+import { announceToScreenReader } from './announcer.js';
+import { PAGE_EVENTS, dispatchPageEvent } from './page-events.js';
+
+export class ResponsiveDesignVerifier {
+  constructor() {
+    this.breakpoints = {
+      'small-mobile': 320,
+      'mobile': 767,
+      'tablet': 1023,
+      'desktop': 1439,
+      'large-desktop': 1440
+    };
+    this.currentBreakpoint = '';
+  }
+  
+  init() {
+    this.detectBreakpoint();
+    this.setupBreakpointListeners();
+    this.verifyTouchTargets();
+    
+    // Development mode: Add breakpoint indicator
+    if (isDevelopment()) {
+      this.addBreakpointIndicator();
+    }
+  }
+  
+  detectBreakpoint() {
+    const width = window.innerWidth;
+    let newBreakpoint = '';
+    
+    if (width <= 320) {
+      newBreakpoint = 'small-mobile';
+    } else if (width <= 767) {
+      newBreakpoint = 'mobile';
+    } else if (width <= 1023) {
+      newBreakpoint = 'tablet';
+    } else if (width <= 1439) {
+      newBreakpoint = 'desktop';
+    } else {
+      newBreakpoint = 'large-desktop';
+    }
+    
+    if (newBreakpoint !== this.currentBreakpoint) {
+      const previousBreakpoint = this.currentBreakpoint || null;
+      this.currentBreakpoint = newBreakpoint;
+      this.onBreakpointChange(previousBreakpoint);
+    }
+  }
+  
+  setupBreakpointListeners() {
+    let resizeTimeout;
+    window.addEventListener('resize', () => {
+      clearTimeout(resizeTimeout);
+      resizeTimeout = setTimeout(() => {
+        this.detectBreakpoint();
+        this.verifyTouchTargets();
+      }, 100);
+    });
+  }
+  
+  onBreakpointChange(previousBreakpoint) {
+    // Log breakpoint changes in development
+    if (isDevelopment()) {
+      console.info(`Breakpoint changed to: ${this.currentBreakpoint} (${window.innerWidth}px)`);
+    }
+    
+    // Update breakpoint indicator
+    this.updateBreakpointIndicator();
+    
+    // Announce to screen readers
+    announceToScreenReader(getMessage('breakpointChanged', { breakpoint: this.currentBreakpoint }), { priority: 'low', key: 'breakpoint' });
+    
+    dispatchPageEvent(PAGE_EVENTS.breakpointChange, {
+      breakpoint: this.currentBreakpoint,
+      previousBreakpoint,
+      width: window.innerWidth
+    });
+  }
+  
+  verifyTouchTargets() {
+    if (window.innerWidth > 767) return; // Only verify on mobile/tablet
+    
+    const interactiveElements = document.querySelectorAll('a, button, .btn, .pill, [tabindex]:not([tabindex="-1"])');
+    let failedElements = 0;
+    
+    interactiveElements.forEach(element => {
+      const rect = element.getBoundingClientRect();
+      const minSize = window.innerWidth <= 320 ? 44 : 44; // WCAG minimum
+      
+      if (rect.width < minSize || rect.height < minSize) {
+        failedElements++;
+        
+        // Development mode: Log failed elements
+        if (isDevelopment()) {
+          console.warn(`Touch target too small: ${element.tagName}${element.className ? '.' + element.className : ''} (${Math.round(rect.width)}x${Math.round(rect.height)}px)`);
+        }
+      }
+    });
+    
+    // Development mode: Log summary
+    if (isDevelopment()) {
+      if (failedElements === 0) {
+        console.info('✅ All touch targets meet WCAG 2.1 AA requirements');
+      } else {
+        console.warn(`⚠️ ${failedElements} touch targets are too small`);
+      }
+    }
+  }
+  
+  addBreakpointIndicator() {
+    const indicator = document.createElement('div');
+    indicator.id = 'breakpoint-indicator';
+    indicator.style.cssText = `
+      position: fixed;
+      top: 10px;
+      right: 10px;
+      background: rgba(0, 0, 0, 0.8);
+      color: white;
+      padding: 8px 12px;
+      border-radius: 4px;
+      font-family: monospace;
+      font-size: 12px;
+      z-index: 9999;
+      pointer-events: none;
+      opacity: 0.7;
+    `;
+    document.body.appendChild(indicator);
+    this.updateBreakpointIndicator();
+  }
+  
+  updateBreakpointIndicator() {
+    const indicator = document.getElementById('breakpoint-indicator');
+    if (indicator) {
+      indicator.textContent = `${this.currentBreakpoint}: ${window.innerWidth}px`;
+    }
+  }
+}
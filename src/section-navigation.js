@@ -0,0 +1,138 @@
+/**
+ * In-page section navigation
+ *
+ * Scroll-spy for the hero pills: the pill of the section being read gets
+ * aria-current="location" and the URL hash follows along through
+ * history.replaceState (no jump). Activating a pill adds a history entry
+ * and moves focus to the section heading; back/forward restore the scroll
+ * position saved with each entry.
+ */
+
+export const SECTION_NAVIGATION_CONFIG = {
+  links: 'nav.links a.pill[href^="#"]',
+  activationOffset: 0.35, // a section is current once its top passes this share of the viewport height
+  historyDelay: 200 // ms after scrolling stops before the hash and position are written to history
+};
+
+function prefersReducedMotion() {
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Scroll to a section and focus its heading, so screen readers read where the visitor landed
+export function focusSection(section) {
+  const heading = Array.from(section.querySelectorAll('h1, h2, h3'))
+    .find(candidate => candidate.getClientRects().length > 0);
+  const target = heading || section;
+  if (!target.hasAttribute('tabindex')) {
+    target.setAttribute('tabindex', '-1');
+  }
+  target.focus({ preventScroll: true });
+  section.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' });
+}
+
+export class SectionNavigator {
+  constructor() {
+    this.links = [];
+    this.sections = [];
+    this.currentId = null;
+    this.frameId = null;
+    this.historyTimeout = null;
+  }
+
+  init() {
+    Array.from(document.querySelectorAll(SECTION_NAVIGATION_CONFIG.links)).forEach(link => {
+      const section = document.getElementById(decodeURIComponent(link.hash.slice(1)));
+      if (!section) return;
+      this.links.push(link);
+      this.sections.push(section);
+      link.addEventListener('click', (e) => this.handleLinkClick(e, section));
+    });
+    if (this.sections.length === 0) return;
+
+    // Positions are restored from the history entries (see handlePopState)
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+    const state = history.state || {};
+    if (typeof state.scrollY === 'number') {
+      window.scrollTo(0, state.scrollY);
+    }
+
+    window.addEventListener('scroll', () => this.handleScroll(), { passive: true });
+    window.addEventListener('popstate', (e) => this.handlePopState(e));
+    this.setCurrent(this.sectionAtScrollPosition());
+  }
+
+  handleLinkClick(e, section) {
+    // Let the browser handle new tabs and windows
+    if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+    e.preventDefault();
+    this.navigateTo(section);
+  }
+
+  navigateTo(section) {
+    // Remember where the current entry was left, then add one for the section
+    clearTimeout(this.historyTimeout);
+    history.replaceState(Object.assign({}, history.state, { scrollY: window.scrollY }), '');
+    history.pushState({ section: section.id }, '', `#${encodeURIComponent(section.id)}`);
+    this.setCurrent(section.id);
+    focusSection(section);
+  }
+
+  handleScroll() {
+    if (this.frameId === null) {
+      this.frameId = requestAnimationFrame(() => {
+        this.frameId = null;
+        this.setCurrent(this.sectionAtScrollPosition());
+      });
+    }
+
+    clearTimeout(this.historyTimeout);
+    this.historyTimeout = setTimeout(() => this.syncHistory(), SECTION_NAVIGATION_CONFIG.historyDelay);
+  }
+
+  // The last section whose top is above the activation line (null above the first one)
+  sectionAtScrollPosition() {
+    const line = window.innerHeight * SECTION_NAVIGATION_CONFIG.activationOffset;
+    const passed = this.sections.filter(section => section.getClientRects().length > 0 &&
+      section.getBoundingClientRect().top <= line);
+    return passed.length > 0 ? passed[passed.length - 1].id : null;
+  }
+
+  // Browsers rate-limit replaceState, so this only runs once scrolling has settled
+  syncHistory() {
+    const hash = this.currentId ? `#${encodeURIComponent(this.currentId)}` : '';
+    const url = hash === location.hash ? undefined : `${location.pathname}${location.search}${hash}`;
+    history.replaceState(Object.assign({}, history.state, { scrollY: window.scrollY }), '', url);
+  }
+
+  handlePopState(e) {
+    clearTimeout(this.historyTimeout);
+    const state = e.state || {};
+    const id = decodeURIComponent(location.hash.slice(1));
+    const section = this.sections.find(candidate => candidate.id === id);
+
+    if (typeof state.scrollY === 'number') {
+      window.scrollTo(0, state.scrollY);
+    } else if (section) {
+      section.scrollIntoView({ block: 'start' });
+    } else if (!id) {
+      window.scrollTo(0, 0);
+    }
+    this.setCurrent(section ? section.id : this.sectionAtScrollPosition());
+  }
+
+  setCurrent(id) {
+    if (id === this.currentId) return;
+
+    this.currentId = id;
+    this.links.forEach((link, index) => {
+      if (this.sections[index].id === id) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Inline theme entry point
+ *
+ * build.js bundles this module on its own and inlines it at the
+ * <!-- theme-init --> marker in <head>, so <html data-theme> and
+ * <html data-motion> are set before the stylesheets apply: the page never
+ * flashes the wrong palette and a paused phoenix never starts moving.
+ */
+
+import { applyMotionPreference } from './motion.js';
+import { applyTheme, resolveTheme } from './theme.js';
+
+applyTheme(resolveTheme());
+applyMotionPreference();
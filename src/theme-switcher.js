@@ -0,0 +1,71 @@
+/**
+ * Theme switcher
+ */
+
+import { getMessage } from './messages.js';
+import { announceToScreenReader } from './announcer.js';
+import { PAGE_EVENTS, dispatchPageEvent } from './page-events.js';
+import {
+  THEME_PREFERENCES,
+  readThemePreference,
+  resolveTheme,
+  applyTheme,
+  saveThemePreference
+} from './theme.js';
+
+// Header control for the color theme; follows the system settings until the visitor picks a theme
+export class ThemeSwitcher {
+  constructor() {
+    this.select = null;
+    this.preference = 'system';
+    this.theme = 'dark';
+  }
+
+  init() {
+    this.preference = readThemePreference();
+    // Normally already set by the inline theme script
+    this.theme = document.documentElement.dataset.theme || resolveTheme(this.preference);
+    applyTheme(this.theme);
+
+    ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].forEach(query => {
+      window.matchMedia(query).addEventListener('change', () => {
+        if (this.preference === 'system') this.update();
+      });
+    });
+
+    this.select = document.getElementById('theme-select');
+    if (!this.select) return;
+
+    this.select.value = this.preference;
+    this.select.closest('.theme-switcher').hidden = false;
+    this.select.addEventListener('change', () => this.setPreference(this.select.value));
+  }
+
+  // 'system' or one of THEMES
+  setPreference(preference) {
+    if (!THEME_PREFERENCES.includes(preference)) {
+      throw new TypeError(`Unknown theme "${preference}" (expected one of ${THEME_PREFERENCES.join(', ')})`);
+    }
+
+    this.preference = preference;
+    saveThemePreference(preference);
+    if (this.select) this.select.value = preference;
+    this.update();
+  }
+
+  update() {
+    const previousTheme = this.theme;
+    this.theme = resolveTheme(this.preference);
+    if (this.theme === previousTheme) return;
+
+    applyTheme(this.theme);
+    announceToScreenReader(getMessage('themeChanged', { theme: this.themeLabel(this.theme) }), { key: 'theme' });
+    dispatchPageEvent(PAGE_EVENTS.themeChange, { theme: this.theme, previousTheme, preference: this.preference });
+  }
+
+  // Localized theme name, taken from the switcher's options
+  themeLabel(theme) {
+    const option = this.select && this.select.querySelector(`option[value="${theme}"]`);
+    return option ? option.textContent.trim() : theme;
+  }
+}
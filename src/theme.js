@@ -0,0 +1,58 @@
+/**
+ * Color themes
+ *
+ * The palettes are the html[data-theme] blocks in the critical CSS of
+ * index.html. The visitor's choice is kept in localStorage; without one
+ * ("system") the theme follows prefers-contrast and prefers-color-scheme.
+ * theme-init.js applies it from an inline script in <head>, before the
+ * first paint.
+ */
+
+export const THEMES = ['dark', 'light', 'high-contrast'];
+export const THEME_PREFERENCES = ['system'].concat(THEMES);
+export const THEME_STORAGE_KEY = 'toukon-elixir:theme';
+
+// <meta name="theme-color"> for each theme (browser UI around the page)
+const THEME_COLORS = {
+  dark: '#160a2b',
+  light: '#f3eefc',
+  'high-contrast': '#000000'
+};
+
+export function readThemePreference() {
+  try {
+    const stored = localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES.includes(stored) ? stored : 'system';
+  } catch (error) {
+    // Storage can be unavailable (privacy mode, sandboxed iframes)
+    return 'system';
+  }
+}
+
+// Theme suggested by the operating system settings
+export function systemTheme() {
+  if (window.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+  return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+}
+
+export function resolveTheme(preference = readThemePreference()) {
+  return preference === 'system' ? systemTheme() : preference;
+}
+
+export function applyTheme(theme) {
+  document.documentElement.dataset.theme = theme;
+  const meta = document.querySelector('meta[name="theme-color"]');
+  if (meta) meta.setAttribute('content', THEME_COLORS[theme]);
+}
+
+export function saveThemePreference(preference) {
+  try {
+    if (preference === 'system') {
+      localStorage.removeItem(THEME_STORAGE_KEY);
+    } else {
+      localStorage.setItem(THEME_STORAGE_KEY, preference);
+    }
+  } catch (error) {
+    // The choice still applies to this page view
+  }
+}
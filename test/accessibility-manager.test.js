@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDOM } = require('./helpers/dom');
+
+setupDOM();
+
+const PAGE = `<!DOCTYPE html><html><body>
+  <main id="main-content">
+    <input type="search" id="search">
+    <section id="about"><h2 id="about-heading">About</h2></section>
+    <section id="events"><h2 id="events-heading">Events</h2></section>
+  </main>
+  <footer><button type="button" id="shortcuts-button" data-dialog-open="shortcuts-dialog" hidden>?</button></footer>
+  <dialog id="shortcuts-dialog">
+    <dl id="shortcut-list"></dl>
+    <input type="checkbox" id="shortcuts-enabled" checked>
+    <button type="button" data-dialog-close>閉じる</button>
+  </dialog>
+  <script type="application/json" id="i18n-messages">{"sectionAbout":"About","sectionEvents":"Events","sectionCode":"Code of Conduct","sectionTop":"ページの先頭","shortcutJump":"{section}へ移動","shortcutHelp":"ショートカット一覧を表示"}</script>
+</body></html>`;
+
+// jsdom does no layout: every element counts as rendered unless it is display:none
+function setupPage() {
+  setupDOM(PAGE);
+  window.HTMLElement.prototype.getClientRects = function () {
+    return this.style.display === 'none' ? [] : [{}];
+  };
+  window.HTMLElement.prototype.scrollIntoView = function () {};
+}
+
+function press(key, options = {}) {
+  const target = options.target || document.activeElement || document.body;
+  const event = new window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, options));
+  target.dispatchEvent(event);
+  return event;
+}
+
+async function createManager() {
+  const { resetMessages } = await import('../src/messages.js');
+  const { AccessibilityManager } = await import('../src/accessibility-manager.js');
+  resetMessages();
+  const manager = new AccessibilityManager();
+  manager.init();
+  return manager;
+}
+
+test('"g" followed by a section key moves focus to the section heading', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  setupPage();
+  await createManager();
+
+  press('g');
+  assert.equal(press('e').defaultPrevented, true);
+  assert.equal(document.activeElement.id, 'events-heading');
+  assert.equal(document.activeElement.getAttribute('tabindex'), '-1');
+
+  // The second key has to follow within the sequence timeout
+  press('g');
+  t.mock.timers.tick(2000);
+  press('a');
+  assert.equal(document.activeElement.id, 'events-heading');
+
+  // Typing and modifier combinations are left alone
+  const search = document.getElementById('search');
+  search.focus();
+  press('g');
+  assert.equal(press('a').defaultPrevented, false);
+  assert.equal(document.activeElement, search);
+  search.blur();
+  press('g', { ctrlKey: true });
+  press('a');
+  assert.notEqual(document.activeElement.id, 'about-heading');
+});
+
+test('"?" opens the help dialog, which lists the shortcuts and returns focus when closed', async () => {
+  setupPage();
+  await createManager();
+  const opener = document.getElementById('shortcuts-button');
+  assert.equal(opener.hidden, false);
+
+  const terms = Array.from(document.querySelectorAll('#shortcut-list dt')).map(term => term.textContent);
+  const descriptions = Array.from(document.querySelectorAll('#shortcut-list dd')).map(definition => definition.textContent);
+  assert.deepEqual(terms, ['g a', 'g e', 'g c', 'g t', '?']);
+  assert.equal(descriptions[1], 'Eventsへ移動');
+
+  opener.focus();
+  press('?');
+  const dialog = document.getElementById('shortcuts-dialog');
+  assert.equal(dialog.open, true);
+  assert.equal(document.activeElement.id, 'shortcuts-enabled');
+
+  press('Escape');
+  assert.equal(dialog.open, false);
+  assert.equal(document.activeElement, opener);
+});
+
+test('turning the shortcuts off is remembered', async () => {
+  setupPage();
+  await createManager();
+  const { KEYBOARD_SHORTCUTS_CONFIG } = await import('../src/accessibility-manager.js');
+
+  const toggle = document.getElementById('shortcuts-enabled');
+  toggle.checked = false;
+  toggle.dispatchEvent(new Event('change'));
+  assert.equal(localStorage.getItem(KEYBOARD_SHORTCUTS_CONFIG.storageKey), 'off');
+
+  press('?');
+  assert.equal(document.getElementById('shortcuts-dialog').open, false);
+
+  // A new page view starts with the stored choice
+  const manager = await createManager();
+  assert.equal(manager.shortcutsEnabled, false);
+  assert.equal(document.getElementById('shortcuts-enabled').checked, false);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDOM } = require('./helpers/dom');
+
+setupDOM();
+
+// Run the announcer's timers and return what each region said, in order
+function spoken(t, announcer, duration) {
+  const log = [];
+  const last = { polite: announcer.regions.polite.textContent, assertive: announcer.regions.assertive.textContent };
+
+  for (let elapsed = 0; elapsed < duration; elapsed += 10) {
+    t.mock.timers.tick(10);
+    ['polite', 'assertive'].forEach(politeness => {
+      const text = announcer.regions[politeness].textContent;
+      if (text && text !== last[politeness]) log.push(`${politeness}: ${text}`);
+      last[politeness] = text;
+    });
+  }
+  return log;
+}
+
+test('uses the persistent live regions from the page', async () => {
+  const { LiveAnnouncer } = await import('../src/announcer.js');
+  setupDOM('<!DOCTYPE html><html><body><div id="live-polite" aria-live="polite"></div></body></html>');
+
+  const announcer = new LiveAnnouncer();
+  announcer.init();
+
+  assert.equal(announcer.regions.polite, document.getElementById('live-polite'));
+  assert.equal(announcer.regions.assertive.getAttribute('aria-live'), 'assertive');
+  assert.equal(document.querySelectorAll('[aria-live]').length, 2);
+});
+
+test('speaks higher priorities first and high priority assertively', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 10000 });
+  setupDOM();
+  const { LiveAnnouncer } = await import('../src/announcer.js');
+  const announcer = new LiveAnnouncer({ throttle: 500 });
+  announcer.init();
+
+  announcer.announce('low', { priority: 'low' });
+  announcer.announce('normal');
+  announcer.announce('urgent', { priority: 'high' });
+
+  assert.deepEqual(spoken(t, announcer, 2000), ['assertive: urgent', 'polite: normal', 'polite: low']);
+});
+
+test('drops duplicates and keeps only the latest message per key', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 10000 });
+  setupDOM();
+  const { LiveAnnouncer } = await import('../src/announcer.js');
+  const announcer = new LiveAnnouncer({ throttle: 500, dedupeWindow: 3000 });
+  announcer.init();
+
+  announcer.announce('hello');
+  announcer.announce('hello');
+  announcer.announce('Breakpoint: mobile', { key: 'breakpoint' });
+  announcer.announce('Breakpoint: tablet', { key: 'breakpoint' });
+
+  assert.deepEqual(spoken(t, announcer, 2000), ['polite: hello', 'polite: Breakpoint: tablet']);
+
+  // Still inside the dedupe window
+  announcer.announce('hello');
+  assert.deepEqual(spoken(t, announcer, 1000), []);
+});
+
+test('high priority skips the throttle and leaves the polite region alone', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 10000 });
+  setupDOM();
+  const { LiveAnnouncer } = await import('../src/announcer.js');
+  const announcer = new LiveAnnouncer({ throttle: 500 });
+  announcer.init();
+
+  announcer.announce('first');
+  announcer.announce('second');
+  assert.deepEqual(spoken(t, announcer, 100), ['polite: first']);
+
+  announcer.announce('urgent', { priority: 'high' });
+  assert.deepEqual(spoken(t, announcer, 100), ['assertive: urgent']);
+  assert.equal(announcer.regions.polite.textContent, 'first');
+
+  // The queued message still waits for the throttle after the urgent one
+  assert.deepEqual(spoken(t, announcer, 1000), ['polite: second']);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { validateMembers, snapshotPath, parseFeed, aggregateArticles } = require('../lib/articles');
+
+const QIITA = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xml:lang="ja-JP" xmlns="http://www.w3.org/2005/Atom">
+  <title>taroの記事 - Qiita</title>
+  <entry>
+    <id>tag:qiita.com,2005:PublicArticle/1</id>
+    <published>2026-10-01T10:00:00+09:00</published>
+    <updated>2026-10-05T10:00:00+09:00</updated>
+    <link rel="alternate" type="text/html" href="https://qiita.com/taro/items/abc"/>
+    <title>Elixir &amp; Phoenix 入門 &lt;1&gt;</title>
+  </entry>
+  <entry>
+    <id>tag:qiita.com,2005:PublicArticle/2</id>
+    <title>日付のない記事</title>
+    <link rel="alternate" type="text/html" href="https://qiita.com/taro/items/def"/>
+  </entry>
+</feed>`;
+
+const ZENN = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>taroさんのフィード</title>
+  <item>
+    <title><![CDATA[GenServer を読む & 書く]]></title>
+    <link>https://zenn.dev/taro/articles/genserver</link>
+    <pubDate>Mon, 12 Oct 2026 03:00:00 GMT</pubDate>
+  </item>
+  <item>
+    <title>Elixir &amp; Phoenix 入門 &lt;1&gt;</title>
+    <link>https://qiita.com/taro/items/abc?utm_source=zenn#comments</link>
+    <pubDate>Thu, 01 Oct 2026 01:00:00 GMT</pubDate>
+  </item>
+</channel></rss>`;
+
+const HANAKO = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>hanako</title>
+  <item><title>LiveView &#x1F525; tips</title><link>https://zenn.dev/hanako/articles/liveview</link><pubDate>Sat, 17 Oct 2026 00:00:00 GMT</pubDate></item>
+</channel></rss>`;
+
+const MEMBERS = {
+  members: [
+    { name: '闘魂太郎', feeds: ['https://qiita.com/taro/feed', 'https://zenn.dev/taro/feed'] },
+    { name: 'Hanako', url: 'https://example.com/hanako', feeds: ['https://zenn.dev/hanako/feed'] },
+    { name: '準備中', feeds: ['https://zenn.dev/newcomer/feed'] }
+  ]
+};
+
+const SNAPSHOTS = {
+  'https://qiita.com/taro/feed': QIITA,
+  'https://zenn.dev/taro/feed': ZENN,
+  'https://zenn.dev/hanako/feed': HANAKO
+};
+
+test('Atom (Qiita) and RSS (Zenn) feeds are read into articles', () => {
+  assert.deepEqual(parseFeed(QIITA), [
+    { title: 'Elixir & Phoenix 入門 <1>', url: 'https://qiita.com/taro/items/abc', published: '2026-10-01T01:00:00.000Z' }
+  ]);
+  assert.deepEqual(parseFeed(ZENN).map(article => article.title), ['GenServer を読む & 書く', 'Elixir & Phoenix 入門 <1>']);
+  assert.equal(parseFeed(HANAKO)[0].title, 'LiveView 🔥 tips');
+  // Entities are left as written inside CDATA and decoded outside it
+  const cdata = HANAKO.replace('LiveView &#x1F525; tips', '<![CDATA[HTML の &lt; を書く]]> &amp; 読む');
+  assert.equal(parseFeed(cdata)[0].title, 'HTML の &lt; を書く & 読む');
+  assert.deepEqual(parseFeed('<html></html>'), []);
+});
+
+test('articles are deduplicated by URL, newest first, with counts per author', () => {
+  const { articles, authors, missing } = aggregateArticles(MEMBERS, url => SNAPSHOTS[url] || null);
+
+  assert.deepEqual(articles.map(article => [article.title, article.author, article.source]), [
+    ['LiveView 🔥 tips', 'Hanako', 'Zenn'],
+    ['GenServer を読む & 書く', '闘魂太郎', 'Zenn'],
+    ['Elixir & Phoenix 入門 <1>', '闘魂太郎', 'Qiita']
+  ]);
+  // Members without any article are left out; the profile defaults to the first feed's page
+  assert.deepEqual(authors, [
+    { name: '闘魂太郎', url: 'https://qiita.com/taro', count: 2 },
+    { name: 'Hanako', url: 'https://example.com/hanako', count: 1 }
+  ]);
+  assert.deepEqual(missing, ['https://zenn.dev/newcomer/feed']);
+});
+
+test('members must have a unique name and https feeds', () => {
+  assert.equal(validateMembers(MEMBERS), MEMBERS);
+  assert.throws(() => validateMembers({}), /"members" array/);
+  assert.throws(() => validateMembers({ members: [MEMBERS.members[0], MEMBERS.members[0]] }), /unique "name"/);
+  assert.throws(() => validateMembers({ members: [{ name: 'x', feeds: [] }] }), /at least one feed/);
+  assert.throws(() => validateMembers({ members: [{ name: 'x', feeds: ['http://qiita.com/x/feed'] }] }), /not an https/);
+});
+
+test('each feed URL has its own snapshot file', () => {
+  assert.equal(snapshotPath('data/feeds', 'https://qiita.com/taro/feed'), path.join('data/feeds', 'qiita.com-taro-feed.xml'));
+  assert.equal(snapshotPath('data/feeds', 'https://zenn.dev/taro/feed'), path.join('data/feeds', 'zenn.dev-taro-feed.xml'));
+});
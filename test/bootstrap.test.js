@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDOM } = require('./helpers/dom');
+
+setupDOM();
+
+test('bootstrap exposes window.ToukonElixir and announces it with toukon:ready', async () => {
+  setupDOM(`<!DOCTYPE html><html><body>
+    <figure class="plate"></figure>
+    <footer><span id="year">2025</span></footer>
+  </body></html>`);
+  const { bootstrap } = await import('../src/bootstrap.js');
+
+  let ready = null;
+  document.addEventListener('toukon:ready', event => {
+    ready = event.detail.api;
+  });
+  const api = await bootstrap();
+
+  assert.equal(window.ToukonElixir, api);
+  assert.equal(ready, api);
+  assert.ok(Object.isFrozen(api));
+  assert.equal(document.getElementById('year').textContent, String(new Date().getFullYear()));
+
+  assert.ok(api.performanceModes.includes(api.getPerformanceMode()));
+  // jsdom windows are 1024px wide
+  assert.equal(api.getBreakpoint(), 'desktop');
+
+  api.pauseMotion();
+  assert.equal(api.isMotionPaused(), true);
+  assert.equal(document.documentElement.dataset.motion, 'paused');
+  api.resumeMotion();
+  assert.equal(api.isMotionPaused(), false);
+});
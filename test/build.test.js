@@ -0,0 +1,127 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { relocateURLs } = require('../lib/i18n');
+const { findInlineScripts, scriptHash } = require('../lib/inline-styles');
+const { parseFeed, readSnapshot } = require('../lib/articles');
+const { build, BUILD_CONFIG, EVENTS_CONFIG, ARTICLES_CONFIG } = require('../build');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+// The build reads the sample events and members below instead of data/ and writes to a temporary directory
+const EVENTS = path.join(FIXTURES, 'connpass-events.json');
+const MEMBERS = path.join(FIXTURES, 'members.json');
+const FEEDS = path.join(FIXTURES, 'feeds');
+let DIST;
+
+// Same-site URLs in src, href, srcset and imagesrcset attributes (fragments and queries dropped)
+function sameSiteURLs(html) {
+  const urls = [];
+  const pattern = /\s(src|href|srcset|imagesrcset)="([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    const values = match[1].endsWith('srcset')
+      ? match[2].split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+      : [match[2]];
+    values
+      .filter(url => url && !/^(#|\/\/|[a-z][\w+.-]*:)/i.test(url))
+      .forEach(url => urls.push(url.replace(/[?#].*$/, '')));
+  }
+  return urls;
+}
+
+// Build once for the tests that read the output
+before(async () => {
+  process.chdir(ROOT);
+  DIST = fs.mkdtempSync(path.join(os.tmpdir(), 'toukon-build-'));
+  BUILD_CONFIG.outDir = DIST;
+  EVENTS_CONFIG.snapshot = EVENTS;
+  Object.assign(ARTICLES_CONFIG, { members: MEMBERS, snapshots: FEEDS });
+
+  mock.method(console, 'log', () => {});
+  try {
+    await build({ sourceMaps: false, exitOnError: false });
+  } finally {
+    mock.restoreAll();
+  }
+}, { timeout: 600000 });
+
+after(() => {
+  if (DIST) fs.rmSync(DIST, { recursive: true, force: true });
+});
+
+test('relocateURLs prefixes script and style start tags but not their bodies', () => {
+  const html = '<script src="script.js" defer></script><script>load("a.js")</script><img src="a.png">';
+  assert.equal(
+    relocateURLs(html, '../'),
+    '<script src="../script.js" defer></script><script>load("a.js")</script><img src="../a.png">'
+  );
+});
+
+test('every same-site URL on the built pages points at a built file', () => {
+  ['index.html', 'en/index.html'].forEach(page => {
+    const html = fs.readFileSync(path.join(DIST, page), 'utf8');
+    const urls = sameSiteURLs(html);
+    assert.ok(urls.some(url => /script\.[0-9a-f]{10}\.js$/.test(url)), `${page} loads the script bundle`);
+
+    const missing = urls.filter(url => {
+      const base = url.startsWith('/') ? DIST : path.join(DIST, path.dirname(page));
+      const file = path.join(base, decodeURIComponent(url));
+      const target = url.endsWith('/') || url === '.' ? path.join(file, 'index.html') : file;
+      return !fs.existsSync(target);
+    });
+    assert.deepEqual(missing, [], `${page} links to files missing from the build`);
+
+    // The inline theme script is allowed by the page's Content-Security-Policy
+    const policy = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]*)"/)[1];
+    const scripts = findInlineScripts(html);
+    assert.equal(scripts.length, 1);
+    assert.ok(policy.includes(scriptHash(scripts[0])), `${page} allows its inline theme script`);
+  });
+});
+
+test('every event in the connpass snapshot gets a calendar file and a feed entry', () => {
+  const snapshot = JSON.parse(fs.readFileSync(EVENTS, 'utf8'));
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(DIST, 'events.json'), 'utf8')), snapshot);
+  const atom = fs.readFileSync(path.join(DIST, 'atom.xml'), 'utf8');
+  snapshot.events.forEach(event => {
+    assert.match(fs.readFileSync(path.join(DIST, 'events', `${event.id}.ics`), 'utf8'), /BEGIN:VEVENT/);
+    assert.ok(atom.includes(`<id>${event.url}</id>`), `atom.xml has an entry for event ${event.id}`);
+  });
+});
+
+test('the feeds are dated by their newest entry, not by the build', () => {
+  const atom = fs.readFileSync(path.join(DIST, 'atom.xml'), 'utf8');
+  const dates = [...atom.matchAll(/<updated>([^<]+)<\/updated>/g)].map(match => Date.parse(match[1]));
+  assert.equal(dates[0], Math.max(...dates.slice(1)));
+});
+
+test('the articles section lists the members\' articles from their feed snapshots', () => {
+  const members = JSON.parse(fs.readFileSync(MEMBERS, 'utf8'));
+  const articles = members.members
+    .flatMap(member => member.feeds)
+    .flatMap(url => parseFeed(readSnapshot(FEEDS, url) || ''));
+  assert.ok(articles.length > 0);
+
+  ['index.html', 'en/index.html'].forEach(page => {
+    const html = fs.readFileSync(path.join(DIST, page), 'utf8');
+    articles.forEach(article => assert.ok(html.includes(`href="${article.url}"`), `${page} links to ${article.url}`));
+  });
+});
+
+test('text assets get gzip and brotli variants, which the size report counts', () => {
+  ['index.html', 'en/index.html', 'atom.xml'].forEach(file => {
+    const content = fs.readFileSync(path.join(DIST, file));
+    assert.deepEqual(zlib.gunzipSync(fs.readFileSync(path.join(DIST, `${file}.gz`))), content);
+    assert.deepEqual(zlib.brotliDecompressSync(fs.readFileSync(path.join(DIST, `${file}.br`))), content);
+  });
+
+  const report = JSON.parse(fs.readFileSync(path.join(ROOT, 'build-reports/size-report.json'), 'utf8'));
+  const page = report.assets.find(asset => asset.path === 'index.html');
+  assert.equal(page.gzip, fs.statSync(path.join(DIST, 'index.html.gz')).size);
+  assert.equal(page.transferred, page.gzip);
+  assert.ok(!report.assets.some(asset => /\.(gz|br)$/.test(asset.path)));
+});
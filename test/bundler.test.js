@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { bundleModules } = require('../lib/bundler');
+const { createSourceMap } = require('../lib/source-map');
+
+// Write files into a temporary directory and bundle `entry` from there
+function bundleFiles(t, files, entry = 'src/main.js') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundler-'));
+  const cwd = process.cwd();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  Object.keys(files).forEach(file => {
+    fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), files[file]);
+  });
+  process.chdir(dir);
+  try {
+    return bundleModules(entry);
+  } finally {
+    process.chdir(cwd);
+  }
+}
+
+test('inlines modules in dependency order with aliased imports and exports', t => {
+  const bundle = bundleFiles(t, {
+    'src/main.js': "import { double as twice, LABEL } from './math.js';\nimport './side-effect.js';\nlog(`${LABEL}: ${twice(21)}`);\n",
+    'src/math.js': "import { log } from './log.js';\nconst factor = 2;\nfunction multiply(value) {\n  return value * factor;\n}\nexport { multiply as double };\nexport const LABEL = 'answer';\n",
+    'src/side-effect.js': "import { log } from './log.js';\nlog('loaded');\n",
+    'src/log.js': "export function log(message) {\n  globalThis.output.push(message);\n}\n"
+  });
+
+  assert.deepEqual(bundle.modules, ['src/log.js', 'src/math.js', 'src/side-effect.js', 'src/main.js']);
+
+  const sandbox = { output: [] };
+  sandbox.globalThis = sandbox;
+  // main.js uses log without importing it: modules do not leak into each other
+  assert.throws(() => vm.runInNewContext(bundle.text, sandbox), /log is not defined/);
+  assert.deepEqual(sandbox.output, ['loaded']);
+});
+
+test('maps bundled code back to the module files', t => {
+  const bundle = bundleFiles(t, {
+    'src/main.js': "import { greet } from './greet.js';\ngreet();\n",
+    'src/greet.js': "export function greet() {\n  return 'hi';\n}\n"
+  });
+
+  const offset = bundle.text.indexOf("return 'hi'");
+  assert.deepEqual(bundle.positions[offset], { source: 'src/greet.js', offset: "export function greet() {\n  ".length });
+  assert.equal(bundle.positions[bundle.text.indexOf('(() => {')], null);
+
+  const map = createSourceMap(bundle, { sources: bundle.sources });
+  assert.deepEqual(map.sources, ['src/greet.js', 'src/main.js']);
+});
+
+test('rejects what the bundler cannot reproduce', t => {
+  assert.throws(
+    () => bundleFiles(t, { 'src/main.js': 'export let counter = 0;\n' }),
+    /src\/main\.js:1: unsupported export "let"/
+  );
+  assert.throws(
+    () => bundleFiles(t, { 'src/main.js': "import helper from './helper.js';\n" }),
+    /only named imports are supported/
+  );
+  assert.throws(
+    () => bundleFiles(t, { 'src/main.js': "import { missing } from './a.js';\n", 'src/a.js': 'export const present = 1;\n' }),
+    /"missing" is not exported by src\/a\.js/
+  );
+  assert.throws(
+    () => bundleFiles(t, {
+      'src/main.js': "import { a } from './a.js';\n",
+      'src/a.js': "import { b } from './b.js';\nexport const a = 1;\n",
+      'src/b.js': "import { a } from './a.js';\nexport const b = 2;\n"
+    }),
+    /Circular import: src\/a\.js → src\/b\.js → src\/a\.js/
+  );
+});
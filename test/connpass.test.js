@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { eventsURL, validateSnapshot, trimSnapshot, upcomingEvents } = require('../lib/connpass');
+const { event } = require('../lib/structured-data');
+
+const CONFIG = { api: 'https://connpass.com/api/v2/events/', subdomain: 'autoracex', months: 3, count: 100 };
+
+const RESPONSE = {
+  results_returned: 2,
+  results_available: 2,
+  results_start: 1,
+  events: [
+    {
+      id: 2, title: '闘魂Elixir #12', catch: '', description: '<p>長い説明</p>', url: 'https://autoracex.connpass.com/event/2/',
+      started_at: '2026-11-07T13:30:00+09:00', ended_at: '2026-11-07T17:00:00+09:00',
+      limit: 30, accepted: 8, waiting: 0, place: 'オンライン', address: '', group: { subdomain: 'autoracex' }
+    },
+    {
+      id: 1, title: '闘魂Elixir #11', description: '<p>長い説明</p>', url: 'https://autoracex.connpass.com/event/1/',
+      started_at: '2026-10-24T20:00:00+09:00', ended_at: '2026-10-24T21:30:00+09:00',
+      limit: 20, accepted: 20, waiting: 2, place: 'オンライン', address: ''
+    }
+  ]
+};
+
+test('searches the group\'s events month by month from the current month in JST', () => {
+  // Already November in Japan
+  const url = new URL(eventsURL(CONFIG, new Date('2026-10-31T16:00:00Z')));
+  assert.equal(url.origin + url.pathname, CONFIG.api);
+  assert.equal(url.searchParams.get('subdomain'), 'autoracex');
+  assert.equal(url.searchParams.get('ym'), '202611,202612,202701');
+  assert.equal(url.searchParams.get('count'), '100');
+});
+
+test('snapshots keep the response shape with only the fields the page reads', () => {
+  const snapshot = trimSnapshot(Object.assign({}, RESPONSE, { fetched_at: '2026-10-19T03:00:00.000Z' }));
+  assert.equal(snapshot.results_returned, 2);
+  assert.equal(snapshot.fetched_at, '2026-10-19T03:00:00.000Z');
+  assert.deepEqual(Object.keys(snapshot.events[0]), [
+    'id', 'title', 'url', 'started_at', 'ended_at', 'limit', 'accepted', 'waiting', 'place', 'address'
+  ]);
+  assert.equal(validateSnapshot(snapshot), snapshot);
+
+  // A response without fetched_at has never been refreshed
+  assert.equal(trimSnapshot(RESPONSE).fetched_at, null);
+
+  assert.throws(() => validateSnapshot({ error: 'Unauthorized' }), /"events" array/);
+  assert.throws(() => validateSnapshot({ events: [{ id: 1, title: 'x', url: 'y', started_at: 'soon' }] }), /events\[0\] \("x"\) has an invalid/);
+  assert.throws(() => validateSnapshot({ events: [{ title: 'x', url: 'y', started_at: '2026-11-07' }] }), /numeric "id"/);
+  assert.throws(() => validateSnapshot({ events: [], fetched_at: 'yesterday' }), /fetched_at/);
+});
+
+test('the next event dates the JSON-LD Event', async () => {
+  const now = Date.parse('2026-10-24T21:00:00+09:00');
+  const upcoming = upcomingEvents(RESPONSE, now);
+  // Still running events count as upcoming
+  assert.deepEqual(upcoming.map(item => item.id), [1, 2]);
+  assert.deepEqual(upcomingEvents(RESPONSE, Date.parse('2026-12-01T00:00:00+09:00')), []);
+
+  // The page filters events.json with its own copy of the rule
+  const { upcomingEvents: pageUpcomingEvents } = await import('../src/events-list.js');
+  assert.deepEqual(pageUpcomingEvents(RESPONSE, now), upcoming);
+
+  const site = { name: '闘魂Elixir', url: 'https://toukon-elixir.autoracex.dev/', language: 'ja-JP', links: { connpass: 'https://autoracex.connpass.com/' } };
+  const events = { event: { name: '闘魂Elixir イベント', attendanceMode: 'MixedEventAttendanceMode', status: 'EventScheduled' } };
+  const dated = event(site, events, upcoming[0]);
+  assert.equal(dated.startDate, '2026-10-24T20:00:00+09:00');
+  assert.equal(dated.endDate, '2026-10-24T21:30:00+09:00');
+  assert.equal(dated.url, 'https://autoracex.connpass.com/event/1/');
+  assert.equal('startDate' in event(site, events), false);
+  // Online events stay at the connpass page
+  assert.deepEqual(dated.location, { '@type': 'VirtualLocation', url: 'https://autoracex.connpass.com/' });
+});
+
+test('an in-person next event is located at its venue', () => {
+  const site = { name: '闘魂Elixir', url: 'https://toukon-elixir.autoracex.dev/', language: 'ja-JP', links: { connpass: 'https://autoracex.connpass.com/' } };
+  const events = { event: { name: '闘魂Elixir イベント', attendanceMode: 'MixedEventAttendanceMode', status: 'EventScheduled' } };
+  const venue = Object.assign({}, RESPONSE.events[0], { place: '福岡市エンジニアカフェ', address: '福岡県福岡市中央区天神1-15-30' });
+  const dated = event(site, events, venue);
+
+  assert.deepEqual(dated.location, {
+    '@type': 'Place',
+    name: '福岡市エンジニアカフェ',
+    address: { '@type': 'PostalAddress', streetAddress: '福岡県福岡市中央区天神1-15-30', addressCountry: 'JP' }
+  });
+  assert.equal(dated.eventAttendanceMode, 'https://schema.org/OfflineEventAttendanceMode');
+  assert.equal(event(site, events, Object.assign({}, venue, { address: '' })).location.name, '福岡市エンジニアカフェ');
+});
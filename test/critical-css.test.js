@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractCriticalCSS, inlineCriticalCSS } = require('../lib/critical-css');
+
+const CSS = `
+.hero { display: grid; }
+.pill { padding: 4px; }
+@keyframes phoenixFloat { to { transform: translateY(-4px); } }
+@keyframes phoenixSwirl { to { transform: rotate(1turn); } }
+.plate::before { animation: phoenixSwirl 8s linear infinite; }
+.btn:focus, .pill:focus { outline: 2px solid; }
+html[data-theme="high-contrast"] .pill { border: 2px solid; }
+@media (max-width: 767px) {
+  .pill { margin: 0; }
+  .hero-picture { animation: phoenixFloat 6s infinite; }
+  .nav { gap: 4px; }
+}
+`;
+
+test('only header and hero layout rules are critical, in source order', () => {
+  const { critical, remainder } = extractCriticalCSS(CSS);
+  const selectors = text => text.split('\n').filter(line => line.endsWith('{')).map(line => line.trim());
+
+  assert.deepEqual(selectors(critical), [
+    '.hero {',
+    '@keyframes phoenixFloat {',
+    '@media (max-width: 767px) {',
+    '.hero-picture {',
+    '.nav {'
+  ]);
+  // Pseudo-elements, interaction states and themed components are left to the async stylesheet
+  assert.deepEqual(selectors(remainder), [
+    '.pill {',
+    '@keyframes phoenixSwirl {',
+    '.plate::before {',
+    '.btn:focus, .pill:focus {',
+    'html[data-theme="high-contrast"] .pill {',
+    '@media (max-width: 767px) {',
+    '.pill {'
+  ]);
+});
+
+test('the full stylesheet is preloaded and applied at the end of the body, without any script', () => {
+  const html = '<head>\n  <link rel="stylesheet" href="styles.css">\n</head><body>\n  <p>x</p>\n</body>';
+
+  assert.equal(inlineCriticalCSS(html, 'styles.css', '.hero{display:grid}'), [
+    '<head>',
+    '  <style id="critical-css">.hero{display:grid}</style>',
+    '  <link rel="preload" href="styles.css" as="style">',
+    '</head><body>',
+    '  <p>x</p>',
+    '  <link rel="stylesheet" href="styles.css">',
+    '</body>'
+  ].join('\n'));
+  assert.throws(() => inlineCriticalCSS('<body></body>', 'styles.css', ''), /not found/);
+});
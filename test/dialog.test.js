@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDOM } = require('./helpers/dom');
+
+setupDOM();
+
+const PAGE = `<!DOCTYPE html><html><body>
+  <div id="live-polite" aria-live="polite"></div>
+  <div class="wrap">
+    <main>
+      <button type="button" id="open-code" data-dialog-open="code-dialog" hidden>行動規範</button>
+      <div id="code-desc"><p id="code-intro">尊重と誠実</p><ul><li>学びの共有</li></ul></div>
+    </main>
+  </div>
+  <dialog id="code-dialog" aria-labelledby="code-dialog-title" data-dialog-content="#code-desc">
+    <h2 id="code-dialog-title">行動規範</h2>
+    <div class="dialog-body"></div>
+    <a href="#rules" id="first-control">全文</a>
+    <button type="button" id="close-code" data-dialog-close>閉じる</button>
+  </dialog>
+  <script type="application/json" id="i18n-messages">{"dialogClosed":"{title}を閉じました。"}</script>
+</body></html>`;
+
+function press(key, options = {}) {
+  const event = new window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, options));
+  document.activeElement.dispatchEvent(event);
+  return event;
+}
+
+async function createManager() {
+  const { resetMessages } = await import('../src/messages.js');
+  const { AccessibilityManager } = await import('../src/accessibility-manager.js');
+  resetMessages();
+  const manager = new AccessibilityManager();
+  manager.init();
+  return manager;
+}
+
+test('opening makes the page inert and copies the dialog content', async () => {
+  setupDOM(PAGE);
+  const { PAGE_EVENTS } = await import('../src/page-events.js');
+  const events = [];
+  document.addEventListener(PAGE_EVENTS.dialogOpen, event => events.push(event.detail));
+  await createManager();
+
+  const opener = document.getElementById('open-code');
+  assert.equal(opener.hidden, false);
+  opener.focus();
+  opener.click();
+
+  const dialog = document.getElementById('code-dialog');
+  assert.equal(dialog.open, true);
+  assert.deepEqual(events, [{ id: 'code-dialog' }]);
+  assert.equal(document.activeElement.id, 'first-control');
+  assert.equal(document.querySelector('.wrap').hasAttribute('inert'), true);
+  // Live regions stay reachable for announcements
+  assert.equal(document.getElementById('live-polite').hasAttribute('inert'), false);
+
+  // Copied without ids, which would clash with the originals
+  const body = dialog.querySelector('.dialog-body');
+  assert.equal(body.querySelector('p').textContent, '尊重と誠実');
+  assert.equal(body.querySelector('[id]'), null);
+});
+
+test('Tab and Shift+Tab cycle inside the open dialog', async () => {
+  setupDOM(PAGE);
+  await createManager();
+  document.getElementById('open-code').click();
+
+  document.getElementById('close-code').focus();
+  assert.equal(press('Tab').defaultPrevented, true);
+  assert.equal(document.activeElement.id, 'first-control');
+
+  assert.equal(press('Tab', { shiftKey: true }).defaultPrevented, true);
+  assert.equal(document.activeElement.id, 'close-code');
+
+  // Between the first and last control the browser moves focus as usual
+  document.getElementById('first-control').focus();
+  assert.equal(press('Tab').defaultPrevented, false);
+});
+
+test('Escape and the close button close the dialog and return focus to the opener', async () => {
+  setupDOM(PAGE);
+  const manager = await createManager();
+  const opener = document.getElementById('open-code');
+  const dialog = document.getElementById('code-dialog');
+
+  opener.focus();
+  opener.click();
+  press('Escape');
+  assert.equal(dialog.open, false);
+  assert.equal(document.activeElement, opener);
+  assert.equal(document.querySelector('.wrap').hasAttribute('inert'), false);
+  assert.equal(manager.activeDialog(), null);
+
+  opener.click();
+  document.getElementById('close-code').click();
+  assert.equal(dialog.open, false);
+  assert.equal(document.activeElement, opener);
+
+  // Nothing left to close: Escape falls back to resetting focus
+  assert.equal(manager.closeDialog(), false);
+  assert.equal(manager.openDialog('missing-dialog'), false);
+});
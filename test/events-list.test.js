@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDOM } = require('./helpers/dom');
+
+setupDOM();
+
+const PAGE = `<!DOCTYPE html><html lang="ja"><head>
+  <link rel="preload" as="fetch" href="events.json" crossorigin="anonymous" id="events-data">
+</head><body>
+  <section id="events">
+    <div id="event-list" hidden>
+      <p id="event-list-title">開催予定のイベント</p>
+      <ul aria-labelledby="event-list-title"></ul>
+    </div>
+    <a href="https://autoracex.connpass.com/">🔥 イベントに参加する</a>
+  </section>
+  <script type="application/json" id="i18n-messages">{"eventDate":"{date} (日本時間)","eventCalendarFile":"カレンダーに追加 (.ics)","eventGoogleCalendarLabel":"{title}を Google カレンダーに追加","eventOnline":"オンライン","eventCapacity":"参加 {accepted}/{limit}人","eventCapacityUnlimited":"参加 {accepted}人 (定員なし)","eventWaiting":"補欠 {waiting}人"}</script>
+</body></html>`;
+
+const NOW = Date.parse('2026-10-19T12:00:00+09:00');
+
+const SNAPSHOT = {
+  results_returned: 3,
+  results_available: 3,
+  results_start: 1,
+  fetched_at: '2026-10-18T00:00:00.000Z',
+  events: [
+    {
+      id: 3, title: '闘魂Elixir #12', url: 'https://autoracex.connpass.com/event/3/',
+      started_at: '2026-11-07T13:30:00+09:00', ended_at: '2026-11-07T17:00:00+09:00',
+      limit: 30, accepted: 30, waiting: 4, place: 'Fukuoka Growth Next', address: '福岡県福岡市中央区大名2-6-11'
+    },
+    {
+      id: 2, title: '闘魂Elixir #11 <LT会>', url: 'https://autoracex.connpass.com/event/2/',
+      started_at: '2026-10-24T20:00:00+09:00', ended_at: '2026-10-24T21:30:00+09:00',
+      limit: null, accepted: 12, waiting: 0, place: '', address: ''
+    },
+    {
+      id: 1, title: '闘魂Elixir #10', url: 'https://autoracex.connpass.com/event/1/',
+      started_at: '2026-09-26T20:00:00+09:00', ended_at: '2026-09-26T21:30:00+09:00',
+      limit: 20, accepted: 18, waiting: 0, place: 'オンライン', address: ''
+    }
+  ]
+};
+
+async function createList(options) {
+  const { resetMessages } = await import('../src/messages.js');
+  const { EventsList } = await import('../src/events-list.js');
+  resetMessages();
+  return new EventsList(options);
+}
+
+test('upcoming events are rendered as cards, soonest first, with the date in JST', async () => {
+  setupDOM(PAGE);
+  const list = await createList();
+  list.container = document.getElementById('event-list');
+
+  assert.equal(list.render(SNAPSHOT, NOW), true);
+  assert.equal(list.container.hidden, false);
+
+  const cards = Array.from(document.querySelectorAll('.event-card'));
+  assert.deepEqual(cards.map(card => card.querySelector('a').textContent), ['闘魂Elixir #11 <LT会>', '闘魂Elixir #12']);
+  assert.equal(cards[0].querySelector('a').href, 'https://autoracex.connpass.com/event/2/');
+  // Titles are text, never markup
+  assert.equal(cards[0].querySelector('a').children.length, 0);
+
+  const [online, venue] = cards.map(card => Array.from(card.querySelectorAll('.event-meta')).map(meta => meta.textContent));
+  assert.match(online[0], /10\/24.+20.00.+21.30.*\(日本時間\)$/);
+  assert.equal(cards[0].querySelector('time').dateTime, '2026-10-24T20:00:00+09:00');
+  assert.equal(online[1], 'オンライン');
+  assert.equal(online[2], '参加 12人 (定員なし)');
+  assert.equal(venue[1], 'Fukuoka Growth Next');
+  assert.equal(venue[2], '参加 30/30人 · 補欠 4人');
+});
+
+test('every card links to its .ics file and to Google Calendar in Japan time', async () => {
+  setupDOM(PAGE, { url: 'https://toukon-elixir.example/en/' });
+  document.querySelector('#events-data').setAttribute('href', '../events.json');
+  const list = await createList();
+  list.container = document.getElementById('event-list');
+  list.render(SNAPSHOT, NOW);
+
+  const [file, google] = Array.from(document.querySelectorAll('.event-card')[1].querySelectorAll('.event-action'));
+  assert.equal(file.href, 'https://toukon-elixir.example/events/3.ics');
+  assert.equal(file.hasAttribute('download'), true);
+  assert.equal(file.textContent, 'カレンダーに追加 (.ics)');
+
+  const url = new URL(google.href);
+  assert.equal(url.origin + url.pathname, 'https://calendar.google.com/calendar/render');
+  assert.equal(url.searchParams.get('dates'), '20261107T043000Z/20261107T080000Z');
+  assert.equal(url.searchParams.get('ctz'), 'Asia/Tokyo');
+  assert.equal(url.searchParams.get('text'), '闘魂Elixir #12');
+  assert.equal(url.searchParams.get('location'), 'Fukuoka Growth Next, 福岡県福岡市中央区大名2-6-11');
+  assert.equal(google.getAttribute('aria-label'), '闘魂Elixir #12を Google カレンダーに追加');
+});
+
+test('stale, empty or broken data leaves the static connpass link on its own', async () => {
+  setupDOM(PAGE);
+  const list = await createList();
+  list.container = document.getElementById('event-list');
+
+  // Fetched more than two weeks before now
+  assert.equal(list.render(Object.assign({}, SNAPSHOT, { fetched_at: '2026-09-01T00:00:00.000Z' }), NOW), false);
+  // Never fetched (the snapshot committed to the repository)
+  assert.equal(list.render(Object.assign({}, SNAPSHOT, { fetched_at: null }), NOW), false);
+  // Only past events
+  assert.equal(list.render(SNAPSHOT, Date.parse('2026-12-01T00:00:00+09:00')), false);
+  assert.equal(list.render({ error: 'not found' }, NOW), false);
+  assert.equal(list.container.hidden, true);
+  assert.equal(document.querySelectorAll('.event-card').length, 0);
+});
+
+test('init reads the snapshot named by the preload link and survives a failed request', async t => {
+  setupDOM(PAGE, { url: 'https://toukon-elixir.example/en/' });
+  document.querySelector('#events-data').setAttribute('href', '../events.json');
+  const requested = [];
+  t.mock.method(console, 'warn', () => {});
+
+  globalThis.fetch = async url => {
+    requested.push(url);
+    return { ok: true, json: async () => Object.assign({}, SNAPSHOT, { fetched_at: new Date().toISOString() }) };
+  };
+  const list = await createList({ maxEvents: 1 });
+  await list.init();
+  assert.deepEqual(requested, ['https://toukon-elixir.example/events.json']);
+
+  globalThis.fetch = async () => ({ ok: false, status: 404 });
+  setupDOM(PAGE);
+  const missing = await createList();
+  await missing.init();
+  assert.equal(document.getElementById('event-list').hidden, true);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { feedEntries, renderAtom, renderRSS, validateFeed, validateAnnouncements } = require('../lib/feeds');
+
+const SITE = { name: '闘魂Elixir', url: 'https://toukon-elixir.autoracex.dev/' };
+
+const ANNOUNCEMENTS = {
+  title: '闘魂Elixir お知らせとイベント',
+  subtitle: 'お知らせと connpass のイベント情報',
+  entries: [
+    { id: 'feeds', title: 'フィードを始めました', published: '2026-10-19T12:00:00+09:00', summary: 'Atom & RSS で配信します <news>' }
+  ]
+};
+
+const SNAPSHOT = {
+  fetched_at: '2026-10-18T00:00:00.000Z',
+  events: [
+    {
+      id: 42, title: '闘魂Elixir #12', url: 'https://autoracex.connpass.com/event/42/',
+      started_at: '2026-11-07T13:30:00+09:00', ended_at: '2026-11-07T17:00:00+09:00',
+      updated_at: '2026-10-20T09:00:00+09:00', place: 'Fukuoka Growth Next', address: ''
+    },
+    {
+      id: 41, title: '闘魂Elixir #11', url: 'https://autoracex.connpass.com/event/41/',
+      started_at: '2026-10-24T20:00:00+09:00', ended_at: '2026-10-24T21:30:00+09:00', place: '', address: ''
+    }
+  ]
+};
+
+function render(renderer) {
+  const entries = feedEntries(SITE, ANNOUNCEMENTS, SNAPSHOT);
+  return renderer({
+    title: ANNOUNCEMENTS.title,
+    subtitle: ANNOUNCEMENTS.subtitle,
+    url: SITE.url,
+    self: `${SITE.url}feed`,
+    author: SITE.name,
+    language: 'ja',
+    entries
+  });
+}
+
+test('announcements and events become one list of entries, newest first', () => {
+  const entries = feedEntries(SITE, ANNOUNCEMENTS, SNAPSHOT);
+  assert.deepEqual(entries.map(entry => entry.title), ['闘魂Elixir #12', 'フィードを始めました', '闘魂Elixir #11']);
+  assert.equal(entries[1].id, 'tag:toukon-elixir.autoracex.dev,2026:announcements/feeds');
+  assert.equal(entries[1].url, SITE.url);
+  // Events without updated_at are dated by the snapshot
+  assert.equal(entries[2].updated, '2026-10-18T00:00:00.000Z');
+  assert.match(entries[0].summary, /2026年11月7日.*13:30.*17:00 \(日本時間\) \/ 会場: Fukuoka Growth Next/);
+  assert.match(entries[2].summary, /会場: オンライン$/);
+
+  assert.deepEqual(feedEntries(SITE, ANNOUNCEMENTS).map(entry => entry.title), ['フィードを始めました']);
+});
+
+test('the Atom and RSS documents pass the feed validator', () => {
+  const atom = render(renderAtom);
+  assert.deepEqual(validateFeed(atom, 'atom'), []);
+  assert.match(atom, /<updated>2026-10-20T00:00:00.000Z<\/updated>\n  <author>/);
+  assert.match(atom, /<summary>Atom &amp; RSS で配信します &lt;news&gt;<\/summary>/);
+
+  const rss = render(renderRSS);
+  assert.deepEqual(validateFeed(rss, 'rss'), []);
+  assert.match(rss, /<pubDate>Sun, 18 Oct 2026 00:00:00 GMT<\/pubDate>/);
+  assert.match(rss, /<guid isPermaLink="false">tag:/);
+  assert.match(rss, /<guid isPermaLink="true">https:\/\/autoracex.connpass.com\/event\/42\/<\/guid>/);
+});
+
+test('the validator reports what a feed reader would trip over', () => {
+  const atom = render(renderAtom);
+  assert.deepEqual(validateFeed(atom.replace(/<updated>[^<]*<\/updated>\n  <author>/, '<author>'), 'atom'), ['feed has no <updated>']);
+  assert.deepEqual(validateFeed(atom.replace('&amp; RSS', '& RSS'), 'atom'), ['contains an unescaped "&"']);
+  assert.deepEqual(validateFeed('<html></html>', 'rss'), [
+    'missing the XML declaration',
+    'root element is not <rss version="2.0">',
+    'rss has no <channel>'
+  ]);
+  assert.deepEqual(validateFeed(render(renderRSS).replace(/<guid[^>]*>[^<]*<\/guid>/, ''), 'rss'), ['item 1 has no <guid>']);
+
+  assert.throws(() => validateAnnouncements({ title: 'x', entries: [{ id: 'a b', title: 'x', summary: 'y', published: '2026-10-19' }] }), /unique "id"/);
+  assert.throws(() => validateAnnouncements({ title: 'x', entries: [{ id: 'a', title: 'x', summary: 'y', published: 'today' }] }), /invalid "published"/);
+});
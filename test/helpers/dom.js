@@ -0,0 +1,69 @@
+/**
+ * jsdom environment for the src/ unit tests
+ *
+ * The browser modules use the usual globals (window, document,
+ * localStorage...), so each test file calls setupDOM() before importing
+ * them. Every test file runs in its own process under `node --test`, and
+ * later calls replace the document for the modules already imported.
+ */
+
+const { JSDOM } = require('jsdom');
+
+const GLOBALS = [
+  'document',
+  'navigator',
+  'localStorage',
+  'location',
+  'history',
+  'CustomEvent',
+  'Event',
+  'HTMLElement',
+  'MutationObserver',
+  'Image',
+  'requestAnimationFrame',
+  'cancelAnimationFrame'
+];
+
+/**
+ * Load html into a fresh jsdom window and expose it as the global scope
+ *
+ * options.url sets the page URL, options.media maps media queries to
+ * whether they match (jsdom has no matchMedia of its own).
+ */
+function setupDOM(html = '<!DOCTYPE html><html lang="ja"><head></head><body></body></html>', options = {}) {
+  const dom = new JSDOM(html, {
+    url: options.url || 'https://toukon-elixir.example/',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+
+  window.matchMedia = query => ({
+    matches: Boolean(options.media && options.media[query]),
+    media: query,
+    addEventListener() {},
+    removeEventListener() {}
+  });
+
+  // Node 21+ defines some of these (e.g. navigator) as read-only getters
+  const define = (name, value) => Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  define('window', window);
+  GLOBALS.forEach(name => define(name, typeof window[name] === 'function' && !/^[A-Z]/.test(name)
+    ? window[name].bind(window)
+    : window[name]));
+  define('getComputedStyle', window.getComputedStyle.bind(window));
+
+  return dom;
+}
+
+/**
+ * Collect the detail of every `type` event dispatched on the current document
+ *
+ * Call it after setupDOM(): a later setupDOM() replaces the document.
+ */
+function recordEvents(type) {
+  const events = [];
+  document.addEventListener(type, event => events.push(event.detail));
+  return events;
+}
+
+module.exports = { setupDOM, recordEvents };
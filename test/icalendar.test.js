@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderCalendar, foldLine, escapeText } = require('../lib/icalendar');
+
+const EVENT = {
+  id: 3,
+  title: '闘魂Elixir #12: LT, もくもく会',
+  url: 'https://autoracex.connpass.com/event/3/',
+  started_at: '2026-11-07T04:30:00Z',
+  ended_at: '2026-11-07T17:00:00+09:00',
+  place: 'Fukuoka Growth Next',
+  address: '福岡県福岡市中央区大名2-6-11'
+};
+
+const OPTIONS = { name: '闘魂Elixir イベント', domain: 'toukon-elixir.autoracex.dev', stamp: '2026-10-19T03:00:00.000Z' };
+
+// Unfold continuation lines and split on CRLF
+function unfold(calendar) {
+  return calendar.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('events are written in Asia/Tokyo time with a VTIMEZONE', () => {
+  const calendar = renderCalendar([EVENT], OPTIONS);
+  const lines = unfold(calendar);
+
+  assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+  // Lines end in CRLF
+  assert.doesNotMatch(calendar, /[^\r]\n/);
+  assert.ok(lines.includes('TZID:Asia/Tokyo'));
+  assert.ok(lines.includes('TZOFFSETTO:+0900'));
+  // 04:30 UTC is 13:30 in Japan
+  assert.ok(lines.includes('DTSTART;TZID=Asia/Tokyo:20261107T133000'));
+  assert.ok(lines.includes('DTEND;TZID=Asia/Tokyo:20261107T170000'));
+  assert.ok(lines.includes('DTSTAMP:20261019T030000Z'));
+  assert.ok(lines.includes('UID:connpass-3@toukon-elixir.autoracex.dev'));
+  assert.ok(lines.includes('SUMMARY:闘魂Elixir #12: LT\\, もくもく会'));
+  assert.ok(lines.includes('LOCATION:Fukuoka Growth Next\\, 福岡県福岡市中央区大名2-6-11'));
+  assert.equal(lines.some(line => line.startsWith('REFRESH-INTERVAL')), false);
+
+  const feed = unfold(renderCalendar([EVENT, Object.assign({}, EVENT, { id: 4 })], Object.assign({ refresh: 'PT12H' }, OPTIONS)));
+  assert.equal(feed.filter(line => line === 'BEGIN:VEVENT').length, 2);
+  assert.ok(feed.includes('REFRESH-INTERVAL;VALUE=DURATION:PT12H'));
+});
+
+test('text is escaped and long lines are folded at 75 octets without splitting characters', () => {
+  assert.equal(escapeText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+
+  const line = `SUMMARY:${'闘魂'.repeat(40)}`;
+  const folded = foldLine(line);
+  folded.split('\r\n').forEach(piece => assert.ok(Buffer.byteLength(piece, 'utf8') <= 75));
+  assert.equal(folded.replace(/\r\n /g, ''), line);
+  assert.equal(foldLine('VERSION:2.0'), 'VERSION:2.0');
+});
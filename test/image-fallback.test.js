@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDOM } = require('./helpers/dom');
+
+setupDOM();
+
+const PAGE = `<!DOCTYPE html><html><body>
+  <picture class="hero-picture">
+    <source type="image/avif" srcset="hero-480w.avif 480w">
+    <img class="hero-image" src="hero-1280w.png" srcset="hero-480w.png 480w" sizes="80vw"
+      data-fallback-srcs="assets/hero.png" data-fallback-retries="1" data-fallback-backoff="400"
+      data-fallback-placeholder="hero-fallback">
+  </picture>
+  <svg id="hero-fallback" style="display:none"></svg>
+</body></html>`;
+
+function fail(img) {
+  img.dispatchEvent(new Event('error'));
+}
+
+test('retries with backoff, then tries the fallback sources without responsive candidates', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  setupDOM(PAGE);
+  const { ImageFallbackManager } = await import('../src/image-fallback.js');
+  const img = document.querySelector('img');
+  new ImageFallbackManager().init();
+
+  fail(img);
+  t.mock.timers.tick(399);
+  assert.match(img.src, /hero-1280w\.png$/);
+  assert.equal(document.querySelectorAll('source').length, 1, 'a retry keeps the responsive candidates');
+
+  t.mock.timers.tick(1);
+  fail(img);
+  assert.match(img.src, /\/assets\/hero\.png$/);
+  assert.equal(document.querySelectorAll('source').length, 0);
+  assert.equal(img.hasAttribute('srcset'), false);
+  assert.equal(img.hasAttribute('sizes'), false);
+});
+
+test('shows the placeholder once every source has failed', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  setupDOM(PAGE);
+  const { ImageFallbackManager } = await import('../src/image-fallback.js');
+  const img = document.querySelector('img');
+  new ImageFallbackManager().init();
+
+  fail(img);
+  t.mock.timers.tick(400);
+  fail(img); // → assets/hero.png
+  fail(img);
+  t.mock.timers.tick(400);
+  fail(img);
+
+  assert.equal(img.style.display, 'none');
+  assert.equal(document.querySelector('picture').style.display, 'none');
+  assert.equal(document.getElementById('hero-fallback').style.display, 'block');
+});
+
+test('ignores images without data-fallback attributes', async () => {
+  setupDOM('<!DOCTYPE html><html><body><img src="plain.png"></body></html>');
+  const { ImageFallbackManager } = await import('../src/image-fallback.js');
+  const img = document.querySelector('img');
+  new ImageFallbackManager().init();
+
+  fail(img);
+  assert.match(img.src, /plain\.png$/);
+});
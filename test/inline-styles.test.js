@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { extractInlineStyles, findInlineScripts, scriptHash } = require('../lib/inline-styles');
+
+const PAGE = `<html><head></head><body>
+<section class="hero"><div class="hero-fallback" style="display: none"></div></section>
+<section id="events"><a href="https://connpass.com/" style="padding: 8px 16px" class="cta">参加</a></section>
+</body></html>`;
+
+test('lifted styles become classes that still outrank ID selectors', () => {
+  const { html, critical, css, attributes, classes } = extractInlineStyles(PAGE);
+
+  assert.equal(attributes, 2);
+  assert.equal(classes, 2);
+  assert.doesNotMatch(html, /style="/);
+  assert.match(html, /<a href="https:\/\/connpass.com\/" class="cta st-[0-9a-f]{6}">/);
+  // Hero rules go to the critical CSS; every selector gets ID-level specificity
+  assert.match(critical, /^\.st-[0-9a-f]{6}:not\(#_\):not\(#_\)\{display:none\}$/);
+  assert.match(css, /^\.st-[0-9a-f]{6}:not\(#_\):not\(#_\)\{padding:8px 16px\}$/);
+});
+
+test('finds the inline scripts a Content-Security-Policy has to allow', () => {
+  const html = [
+    '<script>setTheme()</script>',
+    '<script type="application/ld+json">{"@type":"Event"}</script>',
+    '<script src="script.js" defer></script>',
+    '<script type="module">go()</script>'
+  ].join('');
+
+  assert.deepEqual(findInlineScripts(html), ['setTheme()', 'go()']);
+  const digest = crypto.createHash('sha256').update('setTheme()').digest('base64');
+  assert.equal(scriptHash('setTheme()'), `'sha256-${digest}'`);
+});
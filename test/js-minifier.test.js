@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { minifyJS, verifyMinifiedJS } = require('../lib/js-minifier');
+
+// Minify `source`, check the expected output and that both versions evaluate to the same value
+function assertMinifies(source, expected) {
+  const minified = minifyJS(source);
+  assert.equal(minified, expected);
+  assert.deepEqual(verifyMinifiedJS(source, minified), { valid: true, errors: [] });
+  // Values from another context: compare them as JSON
+  assert.equal(JSON.stringify(vm.runInNewContext(minified)), JSON.stringify(vm.runInNewContext(source)));
+}
+
+test('keeps a space between operators that would merge into ++ or --', () => {
+  assertMinifies('var a = 5, b = 2;\na - -b', 'var a=5,b=2;a- -b');
+  assertMinifies('var a = 5, b = 2;\na + +b', 'var a=5,b=2;a+ +b');
+  assertMinifies('var a = 5, b = 2;\n[a - --b, b]', 'var a=5,b=2;[a- --b,b]');
+});
+
+test('tells regular expressions from divisions', () => {
+  assertMinifies('var a = 12, b = 3, c = 2;\na / b / c', 'var a=12,b=3,c=2;a/b/c');
+  // Read as a division, the quote would open a string and the "//" a comment
+  assertMinifies("var q = /'/g;\n'it\\'s'.replace(q, '\"')", "var q=/'/g;'it\\'s'.replace(q,'\"')");
+  assertMinifies("'a//b'.split(/\\/\\//) // comment", "'a//b'.split(/\\/\\//)");
+  assertMinifies('(function () {\n  return /[/]/.test("/")\n})()', '(function(){return/[/]/.test("/")})()');
+});
+
+test('follows braces nested inside template literals', () => {
+  assertMinifies('var d = 1;\n`a${ { b: `c${ d }` }.b }e`', 'var d=1;`a${{b:`c${d}`}.b}e`');
+  assertMinifies('var o = { k: 2 };\n`${ `${ o.k }` } }`', 'var o={k:2};`${`${o.k}`} }`');
+});
+
+test('keeps line breaks that automatic semicolon insertion depends on', () => {
+  assertMinifies('(function () {\n  return\n  42\n})()', '(function(){return\n42})()');
+  assertMinifies('var a = 1, b = 2, c = 3;\na = b\n++c\n;[a, b, c]', 'var a=1,b=2,c=3;a=b\n++c;[a,b,c]');
+  assertMinifies('var a = 1\nvar b = 2\n;[a, b]', 'var a=1\nvar b=2;[a,b]');
+});
+
+test('reads "?." followed by a digit as a conditional', () => {
+  assertMinifies('var c = true;\nc ? .5 : 1', 'var c=true;c?.5:1');
+  assertMinifies('var o = null;\no?.x ?? 1', 'var o=null;o?.x??1');
+});
+
+test('keeps private class members apart from the keyword before them', () => {
+  assertMinifies(
+    'class A {\n  #p = 1\n  static #q = 2\n  get() { return this.#p + A.#q }\n}\nnew A().get()',
+    'class A{#p=1\nstatic #q=2\nget(){return this.#p+A.#q}}\nnew A().get()'
+  );
+});
+
+test('keeps the space after a number ending in a dot', () => {
+  assertMinifies('1. .toString()', '1. .toString()');
+  assertMinifies('1 .toString()', '1 .toString()');
+});
+
+test('leaves string, template and regex contents untouched', () => {
+  assertMinifies('["a  /* b */  c", `d  // e`, /f  g/.source]', '["a  /* b */  c",`d  // e`,/f  g/.source]');
+});
+
+test('the round-trip check reports a changed token stream', () => {
+  const result = verifyMinifiedJS('var a = 5, b = 2;\na - -b', 'var a=5,b=2;a--b');
+  assert.equal(result.valid, false);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDOM } = require('./helpers/dom');
+
+setupDOM(`<!DOCTYPE html><html><body>
+  <script type="application/json" id="i18n-messages">{"pageLoaded": "Loaded", "breakpointChanged": "Screen size changed to {breakpoint}."}</script>
+</body></html>`);
+
+test('getMessage reads the embedded catalog and fills placeholders', async () => {
+  const { getMessage } = await import('../src/messages.js');
+
+  assert.equal(getMessage('pageLoaded'), 'Loaded');
+  assert.equal(getMessage('breakpointChanged', { breakpoint: 'tablet' }), 'Screen size changed to tablet.');
+});
+
+test('getMessage leaves unknown placeholders and falls back to the key', async () => {
+  const { getMessage } = await import('../src/messages.js');
+
+  assert.equal(getMessage('breakpointChanged'), 'Screen size changed to {breakpoint}.');
+  assert.equal(getMessage('missingKey'), 'missingKey');
+});
+
+test('resetMessages reloads the catalog from the current document', async () => {
+  const { getMessage, resetMessages } = await import('../src/messages.js');
+
+  setupDOM('<!DOCTYPE html><html><body><script type="application/json" id="i18n-messages">{not json</script></body></html>');
+  resetMessages();
+  assert.equal(getMessage('pageLoaded'), 'pageLoaded');
+});
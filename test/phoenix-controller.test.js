@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDOM, recordEvents } = require('./helpers/dom');
+
+setupDOM();
+
+// jsdom reports a 1024px wide window and no deviceMemory (taken as 4 GB), which the controller runs in 'medium'
+const PAGE = `<!DOCTYPE html><html><body>
+  <figure class="plate">
+    <div class="phoenix-wings"></div>
+    <div class="phoenix-particles"></div>
+  </figure>
+  <button type="button" id="motion-toggle" hidden>
+    <span class="motion-toggle-icon"></span> <span class="motion-toggle-label"></span>
+  </button>
+</body></html>`;
+
+function frames(frameTime, count = 90) {
+  return new Array(count).fill(frameTime);
+}
+
+test('steps the mode down on sustained jank and silently tries the richer one again after smooth frames', async () => {
+  setupDOM(PAGE);
+  const { PhoenixAnimationController, FRAME_MONITOR_CONFIG } = await import('../src/phoenix-controller.js');
+  const { PAGE_EVENTS } = await import('../src/page-events.js');
+  const { liveAnnouncer } = await import('../src/announcer.js');
+  const changes = recordEvents(PAGE_EVENTS.performanceModeChange);
+  const controller = new PhoenixAnimationController();
+  controller.init();
+  assert.equal(controller.performanceMode, 'medium');
+  const smooth = count => {
+    for (let i = 0; i < count; i++) controller.evaluateFrames(frames(16));
+  };
+
+  // A single janky window is not enough
+  controller.evaluateFrames(frames(40));
+  assert.equal(controller.performanceMode, 'medium');
+  controller.evaluateFrames(frames(40));
+  assert.equal(controller.performanceMode, 'low');
+  assert.deepEqual(changes, [{ mode: 'low', previousMode: 'medium', reason: 'frame-rate' }]);
+  assert.equal(document.documentElement.style.getPropertyValue('--phoenix-swirl-duration'), '35s');
+  assert.equal(controller.frameRateCap, 'low');
+  assert.equal(liveAnnouncer.queue.length, 0);
+
+  const { windows, backoff } = FRAME_MONITOR_CONFIG.stepUp;
+  smooth(windows);
+  assert.equal(controller.performanceMode, 'medium');
+  assert.equal(controller.frameRateCap, null);
+  // Never above what the device capabilities suggest
+  smooth(windows * 3);
+  assert.equal(controller.performanceMode, 'medium');
+
+  // Jank in the richer mode caps it again, and the next trial waits longer
+  controller.evaluateFrames(frames(40));
+  controller.evaluateFrames(frames(40));
+  assert.equal(controller.performanceMode, 'low');
+  smooth(windows * backoff - 1);
+  assert.equal(controller.performanceMode, 'low');
+  smooth(1);
+  assert.equal(controller.performanceMode, 'medium');
+  assert.equal(changes.length, 4);
+  assert.equal(liveAnnouncer.queue.length, 0);
+});
+
+test('forcePerformanceMode pins a mode until it is cleared', async () => {
+  setupDOM(PAGE);
+  const { PhoenixAnimationController } = await import('../src/phoenix-controller.js');
+  const controller = new PhoenixAnimationController();
+  controller.init();
+
+  controller.forcePerformanceMode('high');
+  assert.equal(controller.performanceMode, 'high');
+  controller.evaluateFrames(frames(40));
+  controller.evaluateFrames(frames(40));
+  assert.equal(controller.performanceMode, 'high');
+
+  // The high-contrast theme keeps the animations off even then
+  controller.setTheme('high-contrast');
+  assert.equal(controller.performanceMode, 'minimal');
+  controller.forcePerformanceMode('high');
+  assert.equal(controller.performanceMode, 'minimal');
+  controller.setTheme('dark');
+  assert.equal(controller.performanceMode, 'high');
+
+  controller.forcePerformanceMode(null);
+  assert.equal(controller.performanceMode, 'medium');
+  assert.throws(() => controller.forcePerformanceMode('ultra'), TypeError);
+});
+
+test('the motion toggle pauses every animation and remembers the choice', async () => {
+  setupDOM(PAGE);
+  const { PhoenixAnimationController } = await import('../src/phoenix-controller.js');
+  const { PAGE_EVENTS } = await import('../src/page-events.js');
+  const { MOTION_STORAGE_KEY, applyMotionPreference } = await import('../src/motion.js');
+  const changes = recordEvents(PAGE_EVENTS.motionChange);
+  const controller = new PhoenixAnimationController();
+  controller.init();
+
+  const toggle = document.getElementById('motion-toggle');
+  assert.equal(toggle.hidden, false);
+  toggle.click();
+
+  assert.equal(controller.motionPaused, true);
+  assert.equal(document.documentElement.dataset.motion, 'paused');
+  assert.equal(localStorage.getItem(MOTION_STORAGE_KEY), 'paused');
+  assert.equal(toggle.querySelector('.motion-toggle-label').textContent, 'motionPlay');
+  assert.deepEqual(changes, [{ paused: true }]);
+
+  // On the next page view the stored choice applies before the controller starts
+  delete document.documentElement.dataset.motion;
+  applyMotionPreference();
+  const reloaded = new PhoenixAnimationController();
+  reloaded.init();
+  assert.equal(reloaded.motionPaused, true);
+});
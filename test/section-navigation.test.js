@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDOM } = require('./helpers/dom');
+
+setupDOM();
+
+const PAGE = `<!DOCTYPE html><html><body>
+  <nav class="links">
+    <a class="pill" href="#about" id="about-pill">About</a>
+    <a class="pill" href="#events" id="events-pill">Events</a>
+  </nav>
+  <section id="about"><h2 id="about-heading">About</h2></section>
+  <section id="events"><h2 id="events-heading">Events</h2></section>
+</body></html>`;
+
+// jsdom does no layout or scrolling: section tops come from `tops` and
+// scrollTo() only records where it was asked to go
+function setupPage(tops) {
+  setupDOM(PAGE);
+  const scrolls = [];
+  window.HTMLElement.prototype.getClientRects = function () {
+    return [{}];
+  };
+  window.HTMLElement.prototype.getBoundingClientRect = function () {
+    return { top: this.id in tops ? tops[this.id] : 0 };
+  };
+  window.HTMLElement.prototype.scrollIntoView = function () {
+    scrolls.push(this.id);
+  };
+  window.scrollTo = (x, y) => scrolls.push(y);
+  Object.defineProperty(window, 'innerHeight', { value: 1000, configurable: true });
+  return scrolls;
+}
+
+async function createNavigator() {
+  const { SectionNavigator } = await import('../src/section-navigation.js');
+  const navigator = new SectionNavigator();
+  navigator.init();
+  return navigator;
+}
+
+function scroll(t, y) {
+  Object.assign(window, { scrollY: y });
+  window.dispatchEvent(new Event('scroll'));
+  t.mock.timers.tick(500);
+}
+
+test('the pill of the section being read is marked and the hash follows without a jump', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const tops = { about: 600, events: 1400 };
+  const scrolls = setupPage(tops);
+  // jsdom's requestAnimationFrame ignores the mocked timers
+  globalThis.requestAnimationFrame = callback => setTimeout(callback, 16);
+  const navigator = await createNavigator();
+
+  assert.equal(navigator.currentId, null);
+  assert.equal(document.querySelector('[aria-current]'), null);
+
+  // "about" crosses the activation line (35% of the viewport)
+  tops.about = 200;
+  tops.events = 1000;
+  scroll(t, 400);
+  assert.equal(document.getElementById('about-pill').getAttribute('aria-current'), 'location');
+  assert.equal(location.hash, '#about');
+  assert.equal(history.state.scrollY, 400);
+
+  tops.about = -600;
+  tops.events = 100;
+  scroll(t, 1200);
+  assert.equal(document.getElementById('about-pill').hasAttribute('aria-current'), false);
+  assert.equal(document.getElementById('events-pill').getAttribute('aria-current'), 'location');
+  assert.equal(location.hash, '#events');
+
+  // Back above the first section drops the hash
+  tops.about = 600;
+  tops.events = 1400;
+  scroll(t, 0);
+  assert.equal(document.querySelector('[aria-current]'), null);
+  assert.equal(location.hash, '');
+  assert.equal(location.pathname, '/');
+  assert.deepEqual(scrolls, []);
+});
+
+test('activating a pill adds a history entry and focuses the section heading', async () => {
+  setupPage({ about: 600, events: 1400 });
+  await createNavigator();
+  const length = history.length;
+
+  const click = new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+  document.getElementById('events-pill').dispatchEvent(click);
+  assert.equal(click.defaultPrevented, true);
+  assert.equal(history.length, length + 1);
+  assert.equal(location.hash, '#events');
+  assert.equal(document.activeElement.id, 'events-heading');
+  assert.equal(document.activeElement.getAttribute('tabindex'), '-1');
+  assert.equal(document.getElementById('events-pill').getAttribute('aria-current'), 'location');
+
+  // Modified clicks (new tab, new window) are left to the browser
+  const newTab = new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ctrlKey: true });
+  document.getElementById('about-pill').dispatchEvent(newTab);
+  assert.equal(newTab.defaultPrevented, false);
+});
+
+test('back and forward restore the scroll position saved with the entry', async () => {
+  const scrolls = setupPage({ about: 600, events: 1400 });
+  await createNavigator();
+
+  Object.assign(window, { scrollY: 250 });
+  document.getElementById('about-pill').click();
+  scrolls.length = 0;
+
+  // Back to the entry that was left at 250px
+  history.replaceState({ scrollY: 250 }, '', '/');
+  window.dispatchEvent(new window.PopStateEvent('popstate', { state: { scrollY: 250 } }));
+  assert.deepEqual(scrolls, [250]);
+  assert.equal(document.querySelector('[aria-current]'), null);
+
+  // Forward to a section entry without a saved position scrolls to the section
+  history.replaceState({ section: 'about' }, '', '#about');
+  window.dispatchEvent(new window.PopStateEvent('popstate', { state: { section: 'about' } }));
+  assert.deepEqual(scrolls, [250, 'about']);
+  assert.equal(document.getElementById('about-pill').getAttribute('aria-current'), 'location');
+});
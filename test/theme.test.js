@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDOM, recordEvents } = require('./helpers/dom');
+
+setupDOM();
+
+const PAGE = `<!DOCTYPE html><html><head><meta name="theme-color" content="#160a2b" /></head><body>
+  <span class="theme-switcher" hidden>
+    <select id="theme-select">
+      <option value="system">システム設定</option>
+      <option value="dark">ダーク</option>
+      <option value="light">ライト</option>
+      <option value="high-contrast">ハイコントラスト</option>
+    </select>
+  </span>
+  <figure class="plate"></figure>
+</body></html>`;
+
+function choose(select, value) {
+  select.value = value;
+  select.dispatchEvent(new Event('change'));
+}
+
+test('follows the system settings until a theme is stored', async () => {
+  const { resolveTheme, THEME_STORAGE_KEY } = await import('../src/theme.js');
+
+  setupDOM(PAGE);
+  assert.equal(resolveTheme(), 'dark');
+
+  setupDOM(PAGE, { media: { '(prefers-color-scheme: light)': true } });
+  assert.equal(resolveTheme(), 'light');
+
+  // Increased contrast wins over the color scheme
+  setupDOM(PAGE, { media: { '(prefers-color-scheme: light)': true, '(prefers-contrast: more)': true } });
+  assert.equal(resolveTheme(), 'high-contrast');
+
+  localStorage.setItem(THEME_STORAGE_KEY, 'dark');
+  assert.equal(resolveTheme(), 'dark');
+  localStorage.setItem(THEME_STORAGE_KEY, 'sepia');
+  assert.equal(resolveTheme(), 'high-contrast');
+});
+
+test('the switcher applies, stores and announces the chosen theme', async () => {
+  setupDOM(PAGE);
+  const { ThemeSwitcher } = await import('../src/theme-switcher.js');
+  const { THEME_STORAGE_KEY } = await import('../src/theme.js');
+  const { PAGE_EVENTS } = await import('../src/page-events.js');
+  const changes = recordEvents(PAGE_EVENTS.themeChange);
+  const switcher = new ThemeSwitcher();
+  switcher.init();
+
+  const select = document.getElementById('theme-select');
+  assert.equal(document.documentElement.dataset.theme, 'dark');
+  assert.equal(select.value, 'system');
+  assert.equal(select.closest('.theme-switcher').hidden, false);
+
+  choose(select, 'light');
+  assert.equal(document.documentElement.dataset.theme, 'light');
+  assert.equal(document.querySelector('meta[name="theme-color"]').getAttribute('content'), '#f3eefc');
+  assert.equal(localStorage.getItem(THEME_STORAGE_KEY), 'light');
+  assert.deepEqual(changes, [{ theme: 'light', previousTheme: 'dark', preference: 'light' }]);
+
+  // Back to the system theme forgets the choice
+  choose(select, 'system');
+  assert.equal(document.documentElement.dataset.theme, 'dark');
+  assert.equal(localStorage.getItem(THEME_STORAGE_KEY), null);
+  assert.equal(changes.length, 2);
+
+  assert.throws(() => switcher.setPreference('sepia'), TypeError);
+});
+
+test('the phoenix controller drops to minimal in the high-contrast theme', async t => {
+  setupDOM(PAGE);
+  // jsdom has no Canvas 2D; a stub context lets the embers mount in 'high'
+  t.mock.method(window.HTMLCanvasElement.prototype, 'getContext', () => ({ setTransform() {} }));
+  const { ThemeSwitcher } = await import('../src/theme-switcher.js');
+  const { PhoenixAnimationController } = await import('../src/phoenix-controller.js');
+  const { PAGE_EVENTS } = await import('../src/page-events.js');
+  const changes = recordEvents(PAGE_EVENTS.performanceModeChange);
+  const switcher = new ThemeSwitcher();
+  switcher.init();
+  const controller = new PhoenixAnimationController();
+  controller.init();
+  assert.equal(controller.performanceMode, 'medium');
+
+  const root = document.documentElement;
+  const plate = document.querySelector('.plate');
+  controller.forcePerformanceMode('high');
+  assert.ok(plate.querySelector('canvas.phoenix-canvas'));
+  assert.equal(root.style.getPropertyValue('--phoenix-swirl-duration'), '22s');
+
+  // The canvas embers go and the CSS layers slow down, not only the mode value
+  switcher.setPreference('high-contrast');
+  assert.equal(controller.performanceMode, 'minimal');
+  assert.equal(plate.querySelector('canvas'), null);
+  assert.equal(root.style.getPropertyValue('--phoenix-swirl-duration'), '45s');
+
+  // Light and dark only change the flame colors
+  switcher.setPreference('light');
+  assert.equal(controller.performanceMode, 'high');
+  assert.ok(plate.querySelector('canvas.phoenix-canvas'));
+  assert.equal(controller.flamePalette().composite, 'multiply');
+  assert.deepEqual(changes.map(change => [change.mode, change.reason]), [
+    ['high', 'forced'], ['minimal', 'theme'], ['high', 'theme']
+  ]);
+});